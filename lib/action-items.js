@@ -0,0 +1,219 @@
+const { SchemaType } = require('@google/generative-ai');
+
+// Action items: deadline phrase resolution ("next Friday", "14 November") and the
+// schema, prompt and cleanup for model-extracted action items
+
+const ACTION_ITEM_PRIORITIES = ['high', 'medium', 'low'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// "May" is left out: it's only a month next to a day number or after words like "of" and "mid" (MAY_MONTH_PATTERN)
+const MONTH_NAME_PATTERN = /\b(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\b/;
+const MAY_MONTH_PATTERN = /\b(?:\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?may|(?:(?:of|in|by|until|before|early|late)\s+|mid-?\s*)may|may\.?\s+(?:the\s+)?\d{1,2}(?:st|nd|rd|th)?)\b/;
+// "14th", "3rd", or a numeric date like 11/14 or 14.11
+const DAY_NUMBER_PATTERN = /\b\d{1,2}(?:st|nd|rd|th)\b|\b\d{1,2}[/.]\d{1,2}\b/;
+// Times of day ("at 10.30", "10:30", "5pm", "9.15 a.m."), removed first so they aren't read as dates
+const TIME_OF_DAY_PATTERN = /\bat\s+\d{1,2}(?:[:.]\d{2})?\b|\b\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.)(?![a-z])|\b\d{1,2}:\d{2}\b/g;
+
+// Gemini response schema for action-item extraction
+const actionItemsSchema = {
+    type: SchemaType.OBJECT,
+    properties: {
+        actionItems: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    task: { type: SchemaType.STRING },
+                    owner: { type: SchemaType.STRING, nullable: true },
+                    dueText: { type: SchemaType.STRING, nullable: true },
+                    dueDate: { type: SchemaType.STRING, nullable: true },
+                    dueTime: { type: SchemaType.STRING, nullable: true },
+                    priority: { type: SchemaType.STRING, format: 'enum', enum: ACTION_ITEM_PRIORITIES },
+                    quote: { type: SchemaType.STRING },
+                },
+                required: ['task', 'priority', 'quote'],
+            },
+        },
+    },
+    required: ['actionItems'],
+};
+
+// Helper: Today's date (YYYY-MM-DD) in an IANA timezone. Throws RangeError for unknown zones.
+const getDateInTimezone = (date, timezone) => {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+};
+
+// Helper: Check a YYYY-MM-DD string is a real calendar date
+const isValidIsoDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+};
+
+// Helper: Check an HH:MM (24h) time
+const isValidTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value || '');
+
+// Helper: Month named in a deadline phrase (lowercase, as written), or null
+const findMonthName = (text) => {
+    const month = text.match(MONTH_NAME_PATTERN);
+    if (month) return month[1];
+    return MAY_MONTH_PATTERN.test(text) ? 'may' : null;
+};
+
+// Helper: Resolve an explicit calendar date ("14 November", "March 3, 2027", "the 14th", "end of May")
+// Without a year (or month) the next such date on or after the reference is used. A month without a
+// day is its last day ("mid-May" is the 15th).
+// Returns YYYY-MM-DD, or null for dates it can't read (e.g. 11/14, which is ambiguous)
+const resolveExplicitDate = (text, reference) => {
+    const monthName = findMonthName(text);
+    const month = monthName !== null;
+    // The day next to the month ("14 November", "the 3rd of March", "March 3"), else an ordinal ("the 14th")
+    const day = month
+        ? text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${monthName}\\b`)) ||
+          text.match(new RegExp(`\\b${monthName}\\.?\\s+(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\b`))
+        : text.match(/\b(\d{1,2})(?:st|nd|rd|th)\b/);
+    const year = text.match(/\b(20\d{2})\b/);
+    if (!day && !month) return null;
+
+    let yearNumber = year ? parseInt(year[1], 10) : reference.getUTCFullYear();
+    let monthIndex = month ? MONTH_NAMES.indexOf(monthName.substring(0, 3)) : reference.getUTCMonth();
+    const lastDay = () => new Date(Date.UTC(yearNumber, monthIndex + 1, 0)).getUTCDate();
+    const isMidMonth = !day && new RegExp(`\\bmid-?\\s*${monthName}`).test(text);
+    const pickDay = () => (day ? parseInt(day[1], 10) : isMidMonth ? 15 : lastDay());
+
+    let dayNumber = pickDay();
+    let date = new Date(Date.UTC(yearNumber, monthIndex, dayNumber));
+    if (!year && date < reference) {
+        if (month) yearNumber++;
+        else monthIndex++;
+        dayNumber = pickDay();
+        date = new Date(Date.UTC(yearNumber, monthIndex, dayNumber));
+    }
+    // Reject dates that rolled over (February 30, the 31st of a 30-day month)
+    if (date.getUTCDate() !== dayNumber) return null;
+    return date.toISOString().substring(0, 10);
+};
+
+// Helper: Resolve a deadline phrase ("tomorrow", "next Friday", "in 2 weeks", "end of month", "14 November")
+// against a YYYY-MM-DD reference date. Returns YYYY-MM-DD, or null if the phrase isn't recognized.
+const resolveDueDate = (phrase, referenceDate) => {
+    if (!phrase) return null;
+    const text = phrase.toLowerCase().replace(TIME_OF_DAY_PATTERN, ' ');
+    const reference = new Date(`${referenceDate}T00:00:00Z`);
+    const shift = (days) => new Date(reference.getTime() + days * 86400000).toISOString().substring(0, 10);
+    const weekday = reference.getUTCDay();
+    // Days until Monday of next week (weeks start on Monday)
+    const daysToNextWeek = ((8 - weekday) % 7) || 7;
+
+    const isoDate = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (isoDate && isValidIsoDate(isoDate[1])) return isoDate[1];
+
+    // An explicit date wins over any weekday or keyword next to it ("Friday, March 3", "Tuesday the 14th")
+    if (findMonthName(text) || DAY_NUMBER_PATTERN.test(text)) {
+        return resolveExplicitDate(text, reference);
+    }
+
+    if (/\bday after tomorrow\b/.test(text)) return shift(2);
+    if (/\btomorrow\b/.test(text)) return shift(1);
+
+    const offset = text.match(/\bin\s+(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week|month)s?\b/);
+    if (offset) {
+        const amount = NUMBER_WORDS[offset[1]] || parseInt(offset[1], 10);
+        if (offset[2] === 'day') return shift(amount);
+        if (offset[2] === 'week') return shift(amount * 7);
+        const date = new Date(reference);
+        date.setUTCMonth(date.getUTCMonth() + amount);
+        return date.toISOString().substring(0, 10);
+    }
+
+    // Checked before "end of day" so "end of day Friday" is Friday
+    const namedDay = text.match(/\b(next\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+    if (namedDay) {
+        const target = WEEKDAY_NAMES.indexOf(namedDay[2]);
+        if (namedDay[1] || /\bnext week\b/.test(text)) {
+            // "next Friday" / "Friday next week" = Friday of next week
+            return shift(daysToNextWeek + ((target + 6) % 7));
+        }
+        // "Friday", "by Friday", "this Friday" = the coming one (a week ahead if it's today)
+        return shift(((target - weekday + 7) % 7) || 7);
+    }
+
+    if (/\b(today|tonight|eod|end of (the )?day)\b/.test(text)) return shift(0);
+
+    if (/\bend of (the )?week\b/.test(text)) return shift((5 - weekday + 7) % 7);
+    if (/\bnext week\b/.test(text)) return shift(daysToNextWeek);
+    if (/\bend of (the )?month\b/.test(text)) {
+        return new Date(Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth() + 1, 0)).toISOString().substring(0, 10);
+    }
+    if (/\bnext month\b/.test(text)) {
+        return new Date(Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth() + 1, 1)).toISOString().substring(0, 10);
+    }
+    return null;
+};
+
+// Helper: Normalize text for quote matching
+const normalizeForQuote = (text) => {
+    return text.toLowerCase().replace(/[*_`#>•]/g, '').replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/\s+/g, ' ').trim();
+};
+
+// Helper: Prompt for extracting action items from source text, with today's date for relative deadlines
+const buildActionItemsPrompt = (source, referenceDate, timezone) => {
+    const weekday = WEEKDAY_NAMES[new Date(`${referenceDate}T00:00:00Z`).getUTCDay()];
+
+    return `You extract action items (tasks, assignments, follow-ups, deadlines) from notes.
+
+TODAY IS: ${weekday}, ${referenceDate} (timezone ${timezone})
+
+For each action item return:
+- task: what must be done, starting with a verb
+- owner: the person or team responsible, exactly as named in the text (null if nobody is named)
+- dueText: the deadline phrase exactly as written (e.g. "next Friday", "by end of month"), or null
+- dueDate: that deadline resolved to YYYY-MM-DD using today's date above, or null if there is none
+- dueTime: HH:MM (24h) if a time of day is given, else null
+- priority: "high" (urgent, blocking, explicit deadline soon), "medium" (default) or "low" (nice to have, someday)
+- quote: the shortest exact sentence or phrase from the text that states this item (copy it verbatim)
+
+RULES:
+- Only include items stated or clearly assigned in the text; do not invent tasks
+- One record per task; merge duplicates
+- Return an empty list if there are no action items
+
+TEXT:
+"""
+${source}
+"""`;
+};
+
+// Helper: Tidy generated action items and resolve their deadlines against referenceDate (YYYY-MM-DD)
+// quote becomes null when the model's quote can't be found in the source.
+// Returns [{ task, owner, dueDate, dueTime, dueText, priority, quote }]
+const cleanActionItems = (items, source, referenceDate) => {
+    const normalizedSource = normalizeForQuote(source);
+    return items.map(item => {
+        const dueText = item.dueText ? String(item.dueText).trim() : null;
+        const quote = item.quote ? String(item.quote).trim() : '';
+        return {
+            task: String(item.task).trim(),
+            owner: item.owner ? String(item.owner).trim() : null,
+            // Our own resolver wins for phrases it reads; the model's date covers the rest
+            dueDate: resolveDueDate(dueText, referenceDate) || (isValidIsoDate(item.dueDate) ? item.dueDate : null),
+            dueTime: isValidTime(item.dueTime) ? item.dueTime : null,
+            dueText,
+            priority: ACTION_ITEM_PRIORITIES.includes(item.priority) ? item.priority : 'medium',
+            quote: quote && normalizedSource.includes(normalizeForQuote(quote)) ? quote : null,
+        };
+    });
+};
+
+module.exports = {
+    WEEKDAY_NAMES,
+    actionItemsSchema,
+    getDateInTimezone,
+    isValidIsoDate,
+    isValidTime,
+    resolveDueDate,
+    normalizeForQuote,
+    buildActionItemsPrompt,
+    cleanActionItems,
+};
@@ -0,0 +1,332 @@
+const cheerio = require('cheerio');
+
+// Website article extraction in the style of Mozilla Readability: drop page chrome, score text
+// blocks, pick the best-scoring container (plus related siblings) and read paragraphs from it.
+
+const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|taboola|ad-break|agegate|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_CLASS = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE_CLASS = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const BLOCK_TAGS = new Set(['address', 'article', 'aside', 'blockquote', 'dl', 'div', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'ol', 'p', 'pre', 'section', 'table', 'ul']);
+const PARAGRAPH_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'p', 'li', 'blockquote', 'pre', 'div', 'section', 'td']);
+const MIN_PARAGRAPH_CHARS = 25;
+const MIN_ARTICLE_CHARS = 250;
+// Stands in for <br> while text is read, so runs of <br> can split old table/font layouts into paragraphs
+const LINE_BREAK = '\uE000';
+const PARAGRAPH_BREAK = /\uE000(?:\s*\uE000)+/;
+
+// Helper: Class + id weight of an element (+25 for article-like names, -25 for chrome-like names)
+const getClassWeight = (el) => {
+    let weight = 0;
+    for (const name of [el.attribs?.class, el.attribs?.id]) {
+        if (!name) continue;
+        if (NEGATIVE_CLASS.test(name)) weight -= 25;
+        if (POSITIVE_CLASS.test(name)) weight += 25;
+    }
+    return weight;
+};
+
+// Helper: Share of an element's text that sits inside links (0-1)
+const getLinkDensity = ($, el) => {
+    const textLength = $(el).text().trim().length;
+    if (textLength === 0) return 0;
+    let linkLength = 0;
+    $(el).find('a').each((i, link) => {
+        // Same-page anchors (footnotes, tables of contents) count less
+        const href = $(link).attr('href') || '';
+        linkLength += $(link).text().trim().length * (href.startsWith('#') ? 0.3 : 1);
+    });
+    return linkLength / textLength;
+};
+
+// Helper: Starting score of a candidate container by tag
+const getTagScore = (el) => {
+    switch (el.name) {
+        case 'div':
+        case 'article':
+        case 'main':
+            return 5;
+        case 'pre':
+        case 'td':
+        case 'blockquote':
+            return 3;
+        case 'address':
+        case 'ol':
+        case 'ul':
+        case 'dl':
+        case 'dd':
+        case 'dt':
+        case 'li':
+        case 'form':
+            return -3;
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6':
+        case 'th':
+            return -5;
+        default:
+            return 0;
+    }
+};
+
+// Helper: Whether an element has no block-level children (a <div> used as a paragraph)
+const hasOnlyInlineChildren = (el) => {
+    return !(el.children || []).some(child => child.type === 'tag' && BLOCK_TAGS.has(child.name));
+};
+
+// Helper: Resolve a possibly relative URL against the page URL
+const resolveUrl = (value, baseUrl) => {
+    if (!value) return null;
+    try {
+        return new URL(value.trim(), baseUrl).href;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Helper: Article objects from JSON-LD (handles arrays and @graph)
+const readJsonLdArticle = ($) => {
+    const candidates = [];
+    $('script[type="application/ld+json"]').each((i, el) => {
+        try {
+            const parsed = JSON.parse($(el).contents().text());
+            const queue = Array.isArray(parsed) ? [...parsed] : [parsed];
+            while (queue.length > 0) {
+                const item = queue.shift();
+                if (!item || typeof item !== 'object') continue;
+                if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+                const types = [].concat(item['@type'] || []);
+                if (types.some(type => /Article|BlogPosting|NewsArticle|Report|WebPage/.test(type))) {
+                    candidates.push(item);
+                }
+            }
+        } catch (error) {
+            // Broken JSON-LD is common; the meta tags still work
+        }
+    });
+    // Prefer a real article over a generic WebPage
+    return candidates.find(item => [].concat(item['@type']).some(type => /Article|BlogPosting/.test(type))) || candidates[0] || null;
+};
+
+// Helper: Page metadata - title, byline, publish date, language, lead image, site name
+const extractArticleMetadata = ($, url) => {
+    const meta = (...names) => {
+        for (const name of names) {
+            const value = $(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`).first().attr('content');
+            if (value && value.trim()) return value.trim();
+        }
+        return null;
+    };
+    const jsonLd = readJsonLdArticle($);
+    const siteName = meta('og:site_name', 'application-name') || jsonLd?.publisher?.name || null;
+
+    // Title: prefer social/structured titles; strip " | Site Name" suffixes from <title>
+    let title = meta('og:title', 'twitter:title') || jsonLd?.headline || null;
+    if (!title) {
+        const documentTitle = $('title').first().text().replace(/\s+/g, ' ').trim();
+        const parts = documentTitle.split(/\s+[|\-–—»:]\s+/);
+        title = parts.length > 1 && parts[0].split(' ').length >= 3 ? parts[0] : documentTitle;
+
+        // A lone <h1> is the article's own title when the <title> doesn't mention it ("My Blog" vs the post)
+        // or is that heading plus a site name ("Configuring retries - Fetchly Docs")
+        const headings = $('h1');
+        const heading = headings.first().text().replace(/\s+/g, ' ').trim();
+        const headingKey = heading.toLowerCase();
+        if (headings.length === 1 && heading &&
+            (!documentTitle.toLowerCase().includes(headingKey) || parts.some(part => part.toLowerCase() === headingKey))) {
+            title = heading;
+        }
+    }
+    title = title || null;
+
+    // Byline: meta, structured data, then visible author markup
+    const jsonLdAuthor = [].concat(jsonLd?.author || []).map(author => (typeof author === 'string' ? author : author?.name)).filter(Boolean).join(', ');
+    let byline = meta('author', 'article:author', 'parsely-author', 'sailthru.author') || jsonLdAuthor || null;
+    if (byline && /^https?:\/\//.test(byline)) byline = jsonLdAuthor || null;
+    if (!byline) {
+        const visible = $('[rel="author"], [itemprop="author"], .byline, .author, .post-author').first().text().replace(/\s+/g, ' ').trim();
+        if (visible && visible.length < 100) byline = visible;
+    }
+    if (byline) byline = byline.replace(/^(?:by|par|von|por|di|door)\s+/i, '').trim() || null;
+
+    // Publish date: normalized to ISO when parseable
+    const rawDate = meta('article:published_time', 'datePublished', 'date', 'pubdate', 'publishdate', 'dc.date', 'dc.date.issued', 'parsely-pub-date')
+        || jsonLd?.datePublished
+        || $('time[datetime]').first().attr('datetime')
+        || null;
+    const parsedDate = rawDate ? new Date(rawDate) : null;
+    const publishedAt = parsedDate && !isNaN(parsedDate) ? parsedDate.toISOString() : rawDate;
+
+    // Language: <html lang>, then content-language, then og:locale (en_US -> en-US)
+    const language = ($('html').attr('lang')
+        || $('meta[http-equiv="content-language"]').attr('content')
+        || meta('og:locale')
+        || jsonLd?.inLanguage
+        || '').replace('_', '-').trim() || null;
+
+    const jsonLdImage = [].concat(jsonLd?.image || []).map(image => (typeof image === 'string' ? image : image?.url)).find(Boolean);
+    const leadImage = resolveUrl(meta('og:image', 'og:image:url', 'twitter:image', 'twitter:image:src') || jsonLdImage, url);
+
+    return {
+        title,
+        byline,
+        publishedAt,
+        language,
+        leadImage,
+        siteName,
+        excerpt: meta('og:description', 'description', 'twitter:description'),
+    };
+};
+
+// Helper: Remove page chrome and unlikely content before scoring
+const removePageChrome = ($) => {
+    $('script, style, noscript, iframe, svg, canvas, form, button, input, select, textarea, template, object, embed').remove();
+    $('nav, footer, aside, dialog').remove();
+    $('[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="dialog"], [role="alertdialog"], [aria-modal="true"]').remove();
+    $('[hidden], [aria-hidden="true"], .ads, .ad, .advertisement').remove();
+
+    // Bylines and dates are returned as metadata, not as article text
+    $('.byline, .dateline, .entry-meta, .post-meta, .article-meta').remove();
+    $('[rel="author"], [itemprop="author"]').each((i, el) => {
+        const block = $(el).closest('p, div');
+        if (block.length > 0 && blockText($, block[0]).length < 120) block.remove();
+    });
+
+    $('body *').each((i, el) => {
+        if (['body', 'article', 'main', 'a'].includes(el.name)) return;
+        const match = `${el.attribs.class || ''} ${el.attribs.id || ''}`;
+        if (UNLIKELY_CANDIDATES.test(match) && !MAYBE_CANDIDATE.test(match)) {
+            $(el).remove();
+        }
+    });
+};
+
+// Helper: Text of a paragraph-like element, whitespace collapsed
+const blockText = ($, el) => $(el).text().split(LINE_BREAK).join(' ').replace(/\s+/g, ' ').trim();
+
+// Helper: Paragraphs of a paragraph-like element; a run of <br> starts a new one
+const blockParagraphs = ($, el) => {
+    return $(el).text().split(PARAGRAPH_BREAK)
+        .map(text => text.split(LINE_BREAK).join(' ').replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+};
+
+// Helper: Find the element holding the main article text (null if nothing scores)
+const findArticleContainer = ($) => {
+    const scores = new Map();
+    const initialize = (el) => {
+        if (!scores.has(el)) scores.set(el, getTagScore(el) + getClassWeight(el));
+    };
+
+    $('p, pre, td, blockquote, div, section').each((i, el) => {
+        if ((el.name === 'div' || el.name === 'section') && !hasOnlyInlineChildren(el)) return;
+        const text = blockText($, el);
+        if (text.length < MIN_PARAGRAPH_CHARS) return;
+
+        // Commas and length both suggest real prose
+        const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+
+        let ancestor = el.parent;
+        for (let level = 0; ancestor && ancestor.type === 'tag' && level < 5; level++, ancestor = ancestor.parent) {
+            if (ancestor.name === 'html') break;
+            initialize(ancestor);
+            const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+            scores.set(ancestor, scores.get(ancestor) + score / divider);
+        }
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+        const finalScore = score * (1 - getLinkDensity($, el));
+        scores.set(el, finalScore);
+        if (finalScore > bestScore) {
+            best = el;
+            bestScore = finalScore;
+        }
+    });
+    if (!best) return null;
+
+    // An <article> or <main> wrapping the winner is the better boundary
+    const wrapper = $(best).closest('article, main')[0];
+    if (wrapper && wrapper.name !== 'body' && blockText($, wrapper).length < blockText($, best).length * 2) {
+        best = wrapper;
+    }
+
+    // Siblings that also look like article content (split layouts, lead paragraphs outside the container)
+    const threshold = Math.max(10, bestScore * 0.2);
+    const parent = best.parent;
+    if (!parent || parent.type !== 'tag') return [best];
+
+    return (parent.children || []).filter(sibling => {
+        if (sibling === best) return true;
+        if (sibling.type !== 'tag') return false;
+        if ((scores.get(sibling) || 0) >= threshold) return true;
+        if (sibling.name === 'p') {
+            const text = blockText($, sibling);
+            const linkDensity = getLinkDensity($, sibling);
+            return (text.length > 80 && linkDensity < 0.25) || (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text));
+        }
+        return false;
+    });
+};
+
+// Helper: Paragraphs (headings, text, list items, quotes) inside the article containers, in order
+const collectArticleParagraphs = ($, containers) => {
+    const paragraphs = [];
+    const seen = new Set();
+    const push = (text) => {
+        if (!seen.has(text)) {
+            seen.add(text);
+            paragraphs.push(text);
+        }
+    };
+
+    containers.forEach(container => {
+        $(container).find('h1, h2, h3, h4, p, li, blockquote, pre, div, section, td').addBack().each((i, el) => {
+            const isHeading = /^h[1-4]$/.test(el.name);
+            // Containers (article, main, body) and divs holding other blocks are read through their children
+            if (!PARAGRAPH_TAGS.has(el.name)) return;
+            if (['div', 'section', 'td'].includes(el.name) && !hasOnlyInlineChildren(el)) return;
+            // Text inside a paragraph-like element already collected through that element
+            if (el.name !== 'li' && $(el).parents('p, li, blockquote, pre').length > 0) return;
+            if (el.name === 'li' && $(el).find('p').length > 0) return;
+
+            // Link lists (related articles, tag clouds) are not content
+            if (!isHeading && getLinkDensity($, el) > 0.5) return;
+            blockParagraphs($, el)
+                .filter(text => text.length >= (isHeading ? 3 : 20))
+                .forEach(push);
+        });
+    });
+    return paragraphs;
+};
+
+// Helper: Extract the main article and its metadata from a page
+// Returns { title, byline, publishedAt, language, leadImage, siteName, excerpt, paragraphs }
+const extractArticle = (html, url) => {
+    const $ = cheerio.load(html);
+    const metadata = extractArticleMetadata($, url);
+
+    removePageChrome($);
+    $('br').replaceWith(LINE_BREAK);
+    const containers = findArticleContainer($);
+    let paragraphs = containers ? collectArticleParagraphs($, containers) : [];
+
+    // Pages the scorer can't make sense of fall back to every readable block
+    if (paragraphs.join(' ').length < MIN_ARTICLE_CHARS) {
+        paragraphs = collectArticleParagraphs($, $('body').toArray());
+    }
+
+    // The title is returned separately; don't repeat it as the first paragraph
+    if (metadata.title && paragraphs[0] && paragraphs[0] === metadata.title) {
+        paragraphs.shift();
+    }
+
+    return { ...metadata, paragraphs };
+};
+
+module.exports = { extractArticle };
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { SchemaType } = require('@google/generative-ai');
+const { WEEKDAY_NAMES, isValidIsoDate, isValidTime, resolveDueDate } = require('./action-items');
+
+// Calendar export: the schema, prompt and cleanup for model-extracted events, and
+// iCalendar (.ics) output with a VEVENT per event and a VTODO per dated action item
+
+const DEFAULT_EVENT_MINUTES = 60;
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+// Gemini response schema for dated events (meetings, calls, presentations)
+const calendarEventsSchema = {
+    type: SchemaType.OBJECT,
+    properties: {
+        events: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    title: { type: SchemaType.STRING },
+                    dateText: { type: SchemaType.STRING },
+                    date: { type: SchemaType.STRING, nullable: true },
+                    startTime: { type: SchemaType.STRING, nullable: true },
+                    endTime: { type: SchemaType.STRING, nullable: true },
+                    location: { type: SchemaType.STRING, nullable: true },
+                    quote: { type: SchemaType.STRING },
+                },
+                required: ['title', 'dateText', 'quote'],
+            },
+        },
+    },
+    required: ['events'],
+};
+
+// Helper: Prompt for extracting scheduled events from source text, with today's date for relative dates
+const buildCalendarEventsPrompt = (source, referenceDate, timezone) => {
+    const weekday = WEEKDAY_NAMES[new Date(`${referenceDate}T00:00:00Z`).getUTCDay()];
+
+    return `You extract scheduled events (meetings, calls, follow-up sessions, presentations, appointments) from notes.
+
+TODAY IS: ${weekday}, ${referenceDate} (timezone ${timezone})
+
+For each event return:
+- title: a short calendar title
+- dateText: the date phrase exactly as written (e.g. "next Tuesday", "on the 14th")
+- date: that date resolved to YYYY-MM-DD using today's date above, or null if it can't be determined
+- startTime / endTime: HH:MM (24h) local times if given, else null
+- location: room, address or meeting link if given, else null
+- quote: the exact sentence or phrase from the text that mentions the event
+
+RULES:
+- Only events that happen at a specific date; tasks and deadlines are NOT events
+- Do not invent events, times or locations
+- Return an empty list if there are none
+
+TEXT:
+"""
+${source}
+"""`;
+};
+
+// Helper: Tidy generated events and resolve their dates against referenceDate (YYYY-MM-DD)
+// Returns [{ title, date, startTime, endTime, location, quote }], only events with a resolvable date
+const cleanCalendarEvents = (events, referenceDate) => {
+    return events
+        .map(event => ({
+            title: String(event.title || '').trim(),
+            date: resolveDueDate(event.dateText, referenceDate) || (isValidIsoDate(event.date) ? event.date : null),
+            startTime: isValidTime(event.startTime) ? event.startTime : null,
+            endTime: isValidTime(event.endTime) ? event.endTime : null,
+            location: event.location ? String(event.location).trim() : null,
+            quote: event.quote ? String(event.quote).trim() : null,
+        }))
+        .filter(event => event.title && event.date);
+};
+
+// Helper: Offset (ms) of an IANA timezone from UTC at a given instant
+const getTimezoneOffset = (timestamp, timezone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(new Date(timestamp)).forEach(part => { parts[part.type] = part.value; });
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Helper: Convert a local date (YYYY-MM-DD) + time (HH:MM) in a timezone to a UTC Date
+const zonedTimeToUtc = (date, time, timezone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    // Second pass corrects for a DST change between the guess and the real instant
+    let utc = wallClock - getTimezoneOffset(wallClock, timezone);
+    utc = wallClock - getTimezoneOffset(utc, timezone);
+    return new Date(utc);
+};
+
+// Helper: iCalendar date-time / date values
+const toIcsDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const toIcsDate = (isoDate) => isoDate.replace(/-/g, '');
+const nextIsoDate = (isoDate) => new Date(new Date(`${isoDate}T00:00:00Z`).getTime() + 86400000).toISOString().substring(0, 10);
+
+// Helper: Escape iCalendar TEXT values (RFC 5545 3.3.11)
+const escapeIcsText = (text) => {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+};
+
+// Helper: Fold an iCalendar content line at 75 octets without splitting UTF-8 characters
+const foldIcsLine = (line) => {
+    const folded = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts toward their 75 octets
+        const limit = folded.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            folded.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    folded.push(current);
+    return folded.join('\r\n ');
+};
+
+// Helper: Build an iCalendar file with a VEVENT per event and a VTODO per dated action item
+const buildIcsCalendar = ({ name, events, todos, timezone, uidSeed }) => {
+    const stamp = toIcsDateTime(new Date());
+    const uid = (kind, index, title) => {
+        const hash = crypto.createHash('sha1').update(`${uidSeed}\n${kind}\n${index}\n${title}`).digest('hex').substring(0, 24);
+        return `${hash}@ai-notes-app`;
+    };
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AI Notes App//Notes Calendar Export//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+        `X-WR-TIMEZONE:${timezone}`,
+    ];
+
+    events.forEach((event, index) => {
+        lines.push('BEGIN:VEVENT', `UID:${uid('event', index, event.title)}`, `DTSTAMP:${stamp}`);
+        if (event.startTime) {
+            // Times are written in UTC so no VTIMEZONE definitions are needed
+            const start = zonedTimeToUtc(event.date, event.startTime, timezone);
+            let end = event.endTime ? zonedTimeToUtc(event.date, event.endTime, timezone) : null;
+            if (!end || end <= start) end = new Date(start.getTime() + DEFAULT_EVENT_MINUTES * 60000);
+            lines.push(`DTSTART:${toIcsDateTime(start)}`, `DTEND:${toIcsDateTime(end)}`);
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${toIcsDate(event.date)}`, `DTEND;VALUE=DATE:${toIcsDate(nextIsoDate(event.date))}`);
+        }
+        lines.push(`SUMMARY:${escapeIcsText(event.title)}`);
+        if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+        if (event.quote) lines.push(`DESCRIPTION:${escapeIcsText(event.quote)}`);
+        lines.push('END:VEVENT');
+    });
+
+    todos.forEach((todo, index) => {
+        lines.push('BEGIN:VTODO', `UID:${uid('todo', index, todo.task)}`, `DTSTAMP:${stamp}`);
+        lines.push(todo.dueTime
+            ? `DUE:${toIcsDateTime(zonedTimeToUtc(todo.dueDate, todo.dueTime, timezone))}`
+            : `DUE;VALUE=DATE:${toIcsDate(todo.dueDate)}`);
+        lines.push(`SUMMARY:${escapeIcsText(todo.task)}`, `PRIORITY:${ICS_PRIORITIES[todo.priority] || 5}`, 'STATUS:NEEDS-ACTION');
+
+        const description = [todo.owner ? `Owner: ${todo.owner}` : null, todo.quote ? `"${todo.quote}"` : null].filter(Boolean).join('\n');
+        if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+        lines.push('END:VTODO');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    calendarEventsSchema,
+    buildCalendarEventsPrompt,
+    cleanCalendarEvents,
+    escapeIcsText,
+    foldIcsLine,
+    buildIcsCalendar,
+};
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const initSqlJs = require('sql.js');
+const JSZip = require('jszip');
+const { escapeHtml } = require('./html');
+
+// Flashcard export: term/definition pairs from note markdown, written as an Anki package,
+// CSV or Quizlet import file
+
+const FLASHCARD_EXPORT_FORMATS = ['apkg', 'csv', 'quizlet', 'json'];
+// Fixed so re-imported decks reuse the same Anki note type
+const ANKI_MODEL_ID = 1718000000000;
+const ANKI_FIELD_SEPARATOR = '\x1f';
+
+// Helper: Remove inline markdown from a card field
+const stripInlineMarkdown = (text) => {
+    return text
+        .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(\*|_)(.+?)\1/g, '$2')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+// Helper: Pull term/definition and question/answer pairs out of a note
+// Recognizes "**Term**: definition" / "Term — definition" bullets, "Q: ... A: ..." pairs,
+// and numbered questions in a review/questions section followed by an answer line
+// Returns [{ front, back, kind: 'definition' | 'question' }]
+const extractFlashcardPairs = (content) => {
+    const pairs = [];
+    const seen = new Set();
+    const addPair = (front, back, kind) => {
+        front = stripInlineMarkdown(front).replace(/[:\s]+$/, '');
+        back = stripInlineMarkdown(back);
+        const key = front.toLowerCase();
+        if (!front || !back || seen.has(key)) return;
+        seen.add(key);
+        pairs.push({ front, back, kind });
+    };
+
+    const lines = content.split('\n');
+    let section = '';
+    let pendingQuestion = null;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const heading = line.match(/^#{1,6}\s+(.+)$/);
+        if (heading) {
+            section = heading[1].toLowerCase();
+            pendingQuestion = null;
+            continue;
+        }
+
+        const item = line.replace(/^(?:[-*•+]|\d+[.)])\s+/, '').replace(/^\[[ xX]\]\s+/, '');
+        const inDefinitions = /definition|glossary|vocabulary|key terms|terminology/.test(section);
+        const inQuestions = /question|review|quiz|self[- ]?test/.test(section);
+
+        // "Q: ..." / "A: ..." (also "Question:" / "Answer:")
+        const questionLabel = item.match(/^\**(?:Q|Question)\s*\d*\**\s*[:.)]\**\s*(.+)$/i);
+        if (questionLabel) {
+            pendingQuestion = questionLabel[1];
+            continue;
+        }
+        const answerLabel = item.match(/^\**(?:A|Answer)\**\s*[:.)]\**\s*(.+)$/i);
+        if (answerLabel && pendingQuestion) {
+            addPair(pendingQuestion, answerLabel[1], 'question');
+            pendingQuestion = null;
+            continue;
+        }
+
+        // Unlabelled question in a review section; the next line (if not another question) answers it
+        if (inQuestions && /\?\**$/.test(item)) {
+            pendingQuestion = item;
+            continue;
+        }
+        if (pendingQuestion && inQuestions) {
+            addPair(pendingQuestion, item, 'question');
+            pendingQuestion = null;
+            continue;
+        }
+
+        // "**Term**: definition" anywhere, "Term: definition" in a definitions section
+        const boldTerm = item.match(/^\*\*(.+?)\*\*\s*[:\-–—]\s*(.+)$/) || item.match(/^\*\*(.+?):\*\*\s*(.+)$/);
+        if (boldTerm && boldTerm[1].length <= 80) {
+            addPair(boldTerm[1], boldTerm[2], 'definition');
+            continue;
+        }
+        // The term must be short (a few words, no sentence punctuation) so ordinary bullets aren't split
+        const plainTerm = item.match(/^([^:–—]{1,40}?)\s*(?::|\s[–—-]\s)\s*(.+)$/);
+        if (inDefinitions && plainTerm && plainTerm[1].split(/\s+/).length <= 5 && !/[.,;!?]/.test(plainTerm[1])) {
+            addPair(plainTerm[1], plainTerm[2], 'definition');
+        }
+    }
+
+    return pairs;
+};
+
+// Helper: Quote a CSV cell (RFC 4180)
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper: Build a CSV with Front, Back, Extra columns (Anki's CSV importer maps these directly)
+const buildFlashcardCsv = (cards, extra) => {
+    const rows = [['Front', 'Back', 'Extra'], ...cards.map(card => [card.front, card.back, extra])];
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+// Helper: Build a Quizlet import file (term<TAB>definition, one card per line)
+const buildQuizletTsv = (cards) => {
+    const clean = (text) => text.replace(/[\t\r\n]+/g, ' ').trim();
+    return cards.map(card => `${clean(card.front)}\t${clean(card.back)}`).join('\n') + '\n';
+};
+
+// Helper: Build an Anki .apkg package (zip of a collection.anki2 SQLite database)
+// Cards use a Front/Back/Extra note type; the deck is named after the note.
+const buildAnkiPackage = async (deckName, cards, extra) => {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+
+    try {
+        db.run(`
+            CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+            CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+            CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+            CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+            CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+            CREATE INDEX ix_notes_usn on notes (usn);
+            CREATE INDEX ix_cards_usn on cards (usn);
+            CREATE INDEX ix_revlog_usn on revlog (usn);
+            CREATE INDEX ix_cards_nid on cards (nid);
+            CREATE INDEX ix_cards_sched on cards (did, queue, due);
+            CREATE INDEX ix_revlog_cid on revlog (cid);
+            CREATE INDEX ix_notes_csum on notes (csum);
+        `);
+
+        const now = Date.now();
+        const nowSeconds = Math.floor(now / 1000);
+        const deckId = now;
+
+        const model = {
+            id: ANKI_MODEL_ID,
+            name: 'AI Notes (Front/Back/Extra)',
+            type: 0,
+            mod: nowSeconds,
+            usn: -1,
+            sortf: 0,
+            did: deckId,
+            tmpls: [{
+                name: 'Card 1',
+                ord: 0,
+                qfmt: '{{Front}}',
+                afmt: '{{FrontSide}}<hr id=answer>{{Back}}{{#Extra}}<br><br><small>{{Extra}}</small>{{/Extra}}',
+                did: null,
+                bqfmt: '',
+                bafmt: '',
+            }],
+            flds: ['Front', 'Back', 'Extra'].map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+            css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }',
+            latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+            latexPost: '\\end{document}',
+            tags: [],
+            vers: [],
+            req: [[0, 'any', [0]]],
+        };
+
+        const deckDefaults = { mod: nowSeconds, usn: -1, collapsed: false, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0], dyn: 0, conf: 1, extendNew: 10, extendRev: 50, desc: '' };
+        const decks = {
+            1: { ...deckDefaults, id: 1, name: 'Default' },
+            [deckId]: { ...deckDefaults, id: deckId, name: deckName },
+        };
+
+        const dconf = {
+            1: {
+                id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+                new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+                rev: { perDay: 100, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, bury: true, minSpace: 1 },
+                lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+            },
+        };
+
+        const conf = { nextPos: cards.length + 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0, sortBackwards: false, addToCur: true, curDeck: 1, newBury: true, newSpread: 0, dueCounts: true, curModel: String(ANKI_MODEL_ID), collapseTime: 1200 };
+
+        db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+            nowSeconds, now, now,
+            JSON.stringify(conf), JSON.stringify({ [ANKI_MODEL_ID]: model }), JSON.stringify(decks), JSON.stringify(dconf), '{}',
+        ]);
+
+        const extraHtml = escapeHtml(extra);
+        cards.forEach((card, index) => {
+            const front = escapeHtml(card.front);
+            const fields = [front, escapeHtml(card.back), extraHtml].join(ANKI_FIELD_SEPARATOR);
+            // Stable guid per deck + front so re-importing updates cards instead of duplicating them
+            const guid = crypto.createHash('sha1').update(`${deckName}\n${card.front}`).digest('base64').substring(0, 10);
+            const checksum = parseInt(crypto.createHash('sha1').update(card.front).digest('hex').substring(0, 8), 16);
+            const id = now + index;
+
+            db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [id, guid, ANKI_MODEL_ID, nowSeconds, card.kind ? ` ${card.kind} ` : '', fields, card.front, checksum]);
+            db.run('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')', [id, id, deckId, nowSeconds, index + 1]);
+        });
+
+        const zip = new JSZip();
+        zip.file('collection.anki2', db.export());
+        zip.file('media', '{}');
+        return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    } finally {
+        db.close();
+    }
+};
+
+module.exports = {
+    FLASHCARD_EXPORT_FORMATS,
+    extractFlashcardPairs,
+    buildFlashcardCsv,
+    buildQuizletTsv,
+    buildAnkiPackage,
+};
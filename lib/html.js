@@ -0,0 +1,6 @@
+// Helper: Escape text for HTML (export pages, Anki fields, OPML outlines)
+const escapeHtml = (text) => {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+module.exports = { escapeHtml };
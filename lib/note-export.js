@@ -0,0 +1,520 @@
+const docx = require('docx');
+const PDFDocument = require('pdfkit');
+const { escapeHtml } = require('./html');
+
+// Note export: normalizes generated note markdown into a document tree and renders it
+// as Markdown, HTML, DOCX or PDF
+
+const NOTE_EXPORT_FORMATS = {
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+// Helper: Check a requested export format (own keys only, so "toString" or "constructor" aren't formats)
+const isNoteExportFormat = (format) => typeof format === 'string' && Object.hasOwn(NOTE_EXPORT_FORMATS, format);
+
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{FE0F}\u{200D}\u{20E3}]/gu;
+const LEADING_EMOJI_PATTERN = /^(?:[\p{Extended_Pictographic}\u{FE0F}\u{200D}\u{20E3}]\s*)+/u;
+const MAX_LIST_LEVEL = 3;
+
+// Helper: Parse inline markdown (**bold**, *italic*, `code`, [links](url)) into runs
+// Returns [{ text, bold, italic, code, link }]
+const parseInlines = (text) => {
+    const runs = [];
+    const pattern = /\*\*(.+?)\*\*|__(.+?)__|\*(?!\s)(.+?)\*|(?<![\w])_(?!\s)(.+?)_(?![\w])|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) runs.push({ text: text.substring(lastIndex, match.index) });
+        if (match[1] !== undefined || match[2] !== undefined) {
+            // Bold may contain italics or links; keep it one level deep
+            parseInlines(match[1] ?? match[2]).forEach(run => runs.push({ ...run, bold: true }));
+        } else if (match[3] !== undefined || match[4] !== undefined) {
+            runs.push({ text: match[3] ?? match[4], italic: true });
+        } else if (match[5] !== undefined) {
+            runs.push({ text: match[5], code: true });
+        } else {
+            runs.push({ text: match[6], link: match[7] });
+        }
+        lastIndex = pattern.lastIndex;
+    }
+    if (lastIndex < text.length) runs.push({ text: text.substring(lastIndex) });
+    return runs.filter(run => run.text);
+};
+
+// Helper: Plain text of a run list
+const inlinesToText = (inlines) => inlines.map(run => run.text).join('');
+
+// Helper: Normalize generated note markdown into a document tree
+// Handles the loose output the prompts produce: "•" bullets, emoji or bold-only lines used as
+// headers, "Key Takeaways:" labels, indented sub-points and checkbox items.
+// Returns { title, blocks: [
+//   { type: 'heading', level: 1-3, inlines },
+//   { type: 'paragraph', inlines },
+//   { type: 'list', ordered, items: [{ level, inlines, checked }] },   // checked: null unless a checkbox
+//   { type: 'quote', inlines },
+//   { type: 'code', text },
+//   { type: 'rule' },
+// ] }
+const parseNoteDocument = (content, fallbackTitle = 'Notes') => {
+    const blocks = [];
+    let paragraph = null;
+    let list = null;
+    let code = null;
+
+    const closeBlocks = () => {
+        paragraph = null;
+        list = null;
+    };
+    const pushHeading = (level, text) => {
+        closeBlocks();
+        const clean = text.replace(LEADING_EMOJI_PATTERN, '').replace(/^\*\*(.+)\*\*:?$/, '$1').replace(/:$/, '').trim();
+        if (clean) blocks.push({ type: 'heading', level, inlines: parseInlines(clean) });
+    };
+
+    for (const rawLine of content.replace(/\r\n?/g, '\n').split('\n')) {
+        // Fenced code is kept verbatim
+        if (code) {
+            if (/^\s*```/.test(rawLine)) {
+                code = null;
+            } else {
+                code.text += (code.text ? '\n' : '') + rawLine;
+            }
+            continue;
+        }
+        if (/^\s*```/.test(rawLine)) {
+            closeBlocks();
+            code = { type: 'code', text: '' };
+            blocks.push(code);
+            continue;
+        }
+
+        const line = rawLine.replace(/\t/g, '    ').trimEnd();
+        const trimmed = line.trim();
+
+        if (!trimmed) {
+            closeBlocks();
+            continue;
+        }
+
+        const heading = trimmed.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+        if (heading) {
+            pushHeading(Math.min(heading[1].length, 3), heading[2]);
+            continue;
+        }
+
+        if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+            closeBlocks();
+            blocks.push({ type: 'rule' });
+            continue;
+        }
+
+        const bullet = line.match(/^(\s*)(?:[•◦▪▫‣·●○■□➤➢→\-*+]|(\d+)[.)])\s+(.*)$/);
+        if (bullet) {
+            const ordered = bullet[2] !== undefined;
+            const level = Math.min(Math.floor(bullet[1].length / 2), MAX_LIST_LEVEL);
+            let text = bullet[3];
+            let checked = null;
+
+            const checkbox = text.match(/^(?:\[([ xX])\]|([☐☑✅✔]))\s*(.*)$/u);
+            if (checkbox) {
+                checked = checkbox[1] ? checkbox[1] !== ' ' : checkbox[2] !== '☐';
+                text = checkbox[3];
+            }
+
+            if (!list || (level === 0 && list.ordered !== ordered)) {
+                paragraph = null;
+                list = { type: 'list', ordered, items: [] };
+                blocks.push(list);
+            }
+            list.items.push({ level, inlines: parseInlines(text), checked });
+            continue;
+        }
+
+        // Lines used as section headers: "📌 **Key Takeaways**", "**Overview**", "Key Takeaways:"
+        const withoutEmoji = trimmed.replace(LEADING_EMOJI_PATTERN, '');
+        const startsWithEmoji = withoutEmoji !== trimmed;
+        const boldOnly = /^\*\*[^*]+\*\*:?$/.test(withoutEmoji);
+        const shortLabel = withoutEmoji.length <= 60 && !/[.!?,;]$/.test(withoutEmoji) && !/\*\*.*\*\*.+/.test(withoutEmoji);
+        if (boldOnly || (startsWithEmoji && shortLabel) || /^key takeaways:?$/i.test(withoutEmoji)) {
+            pushHeading(2, withoutEmoji);
+            continue;
+        }
+
+        if (trimmed.startsWith('>')) {
+            closeBlocks();
+            blocks.push({ type: 'quote', inlines: parseInlines(trimmed.replace(/^>\s?/, '')) });
+            continue;
+        }
+
+        // Indented continuation of a list item
+        if (list && /^\s{2,}/.test(line)) {
+            const item = list.items[list.items.length - 1];
+            item.inlines.push({ text: ' ' }, ...parseInlines(trimmed));
+            continue;
+        }
+
+        list = null;
+        if (!paragraph) {
+            paragraph = { type: 'paragraph', inlines: [] };
+            blocks.push(paragraph);
+        } else {
+            paragraph.inlines.push({ text: ' ' });
+        }
+        paragraph.inlines.push(...parseInlines(trimmed));
+    }
+
+    const titleBlock = blocks.find(block => block.type === 'heading' && block.level === 1);
+    return {
+        title: titleBlock ? inlinesToText(titleBlock.inlines) : fallbackTitle,
+        blocks: blocks.filter(block => block.type !== 'code' || block.text),
+    };
+};
+
+// Helper: Render runs back to markdown
+const inlinesToMarkdown = (inlines) => {
+    return inlines.map(run => {
+        let text = run.code ? `\`${run.text}\`` : run.text;
+        if (run.link) text = `[${text}](${run.link})`;
+        if (run.italic) text = `*${text}*`;
+        if (run.bold) text = `**${text}**`;
+        return text;
+    }).join('').replace(/\*\*\*\*/g, '');
+};
+
+// Helper: Render a document tree as clean markdown
+const renderMarkdown = (document) => {
+    return document.blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `${'#'.repeat(block.level)} ${inlinesToMarkdown(block.inlines)}`;
+            case 'list': {
+                const counters = [];
+                return block.items.map(item => {
+                    counters[item.level] = (counters[item.level] || 0) + 1;
+                    counters.length = item.level + 1;
+                    const marker = block.ordered && item.level === 0 ? `${counters[0]}.` : '-';
+                    const checkbox = item.checked === null ? '' : `[${item.checked ? 'x' : ' '}] `;
+                    return `${'  '.repeat(item.level)}${marker} ${checkbox}${inlinesToMarkdown(item.inlines)}`;
+                }).join('\n');
+            }
+            case 'quote':
+                return `> ${inlinesToMarkdown(block.inlines)}`;
+            case 'code':
+                return `\`\`\`\n${block.text}\n\`\`\``;
+            case 'rule':
+                return '---';
+            default:
+                return inlinesToMarkdown(block.inlines);
+        }
+    }).join('\n\n') + '\n';
+};
+
+// Helper: Render runs as HTML
+const inlinesToHtml = (inlines) => {
+    return inlines.map(run => {
+        let html = escapeHtml(run.text);
+        if (run.code) html = `<code>${html}</code>`;
+        if (run.link) html = `<a href="${escapeHtml(run.link)}">${html}</a>`;
+        if (run.italic) html = `<em>${html}</em>`;
+        if (run.bold) html = `<strong>${html}</strong>`;
+        return html;
+    }).join('');
+};
+
+// Helper: Render a flat, level-tagged item list as nested <ul>/<ol>
+const listToHtml = (block) => {
+    const tag = block.ordered ? 'ol' : 'ul';
+    let html = '';
+    let depth = -1;
+
+    block.items.forEach(item => {
+        if (item.level > depth) {
+            // Open one list per level (skipped levels are nested inside the previous item)
+            while (depth < item.level) {
+                html += depth === -1 ? `<${tag}>` : '<ul>';
+                depth++;
+            }
+        } else {
+            html += '</li>';
+            while (depth > item.level) {
+                html += depth === 0 ? `</${tag}>` : '</ul></li>';
+                depth--;
+            }
+        }
+        const checkbox = item.checked === null ? '' : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+        html += `<li>${checkbox}${inlinesToHtml(item.inlines)}`;
+    });
+
+    html += '</li>';
+    while (depth > 0) {
+        html += '</ul></li>';
+        depth--;
+    }
+    return `${html}</${tag}>`;
+};
+
+// Helper: Render a document tree as a standalone HTML page
+const renderHtml = (document) => {
+    const body = document.blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level}>${inlinesToHtml(block.inlines)}</h${block.level}>`;
+            case 'list':
+                return listToHtml(block);
+            case 'quote':
+                return `<blockquote>${inlinesToHtml(block.inlines)}</blockquote>`;
+            case 'code':
+                return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+            case 'rule':
+                return '<hr>';
+            default:
+                return `<p>${inlinesToHtml(block.inlines)}</p>`;
+        }
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(document.title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; line-height: 1.6; color: #1f2933; }
+h1, h2, h3 { line-height: 1.3; margin-top: 1.6em; }
+h1 { border-bottom: 1px solid #e4e7eb; padding-bottom: 0.3em; }
+li { margin: 0.25em 0; }
+blockquote { margin: 1em 0; padding-left: 1em; border-left: 4px solid #cbd2d9; color: #52606d; }
+code { background: #f5f7fa; padding: 0.1em 0.3em; border-radius: 3px; }
+pre { background: #f5f7fa; padding: 1em; overflow-x: auto; }
+pre code { background: none; padding: 0; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+};
+
+// Helper: Render a document tree as a .docx buffer
+const renderDocx = async (document) => {
+    const headingLevels = { 1: docx.HeadingLevel.HEADING_1, 2: docx.HeadingLevel.HEADING_2, 3: docx.HeadingLevel.HEADING_3 };
+    const toRuns = (inlines) => inlines.map(run => {
+        const textRun = new docx.TextRun({
+            text: run.text,
+            bold: run.bold,
+            italics: run.italic,
+            font: run.code ? 'Courier New' : undefined,
+            style: run.link ? 'Hyperlink' : undefined,
+        });
+        return run.link ? new docx.ExternalHyperlink({ link: run.link, children: [textRun] }) : textRun;
+    });
+
+    const paragraphs = [];
+    let listInstance = 0;
+    document.blocks.forEach(block => {
+        switch (block.type) {
+            case 'heading':
+                paragraphs.push(new docx.Paragraph({ heading: headingLevels[block.level], children: toRuns(block.inlines) }));
+                break;
+            case 'list':
+                // Each ordered list restarts its numbering
+                listInstance++;
+                block.items.forEach(item => {
+                    const checkbox = item.checked === null ? [] : [new docx.TextRun(item.checked ? '☑ ' : '☐ ')];
+                    paragraphs.push(new docx.Paragraph({
+                        children: [...checkbox, ...toRuns(item.inlines)],
+                        ...(block.ordered && item.level === 0
+                            ? { numbering: { reference: 'ordered-list', level: 0, instance: listInstance } }
+                            : { bullet: { level: item.level } }),
+                    }));
+                });
+                break;
+            case 'quote':
+                paragraphs.push(new docx.Paragraph({ children: toRuns(block.inlines), style: 'Quote' }));
+                break;
+            case 'code':
+                block.text.split('\n').forEach(codeLine => {
+                    paragraphs.push(new docx.Paragraph({ children: [new docx.TextRun({ text: codeLine, font: 'Courier New' })] }));
+                });
+                break;
+            case 'rule':
+                paragraphs.push(new docx.Paragraph({ thematicBreak: true }));
+                break;
+            default:
+                paragraphs.push(new docx.Paragraph({ children: toRuns(block.inlines) }));
+        }
+    });
+
+    const file = new docx.Document({
+        title: document.title,
+        // Word has no built-in "Quote" style in a new document, so define it for blockquotes
+        styles: {
+            paragraphStyles: [{
+                id: 'Quote',
+                name: 'Quote',
+                basedOn: 'Normal',
+                next: 'Normal',
+                quickFormat: true,
+                run: { italics: true, color: '555555' },
+                paragraph: { indent: { left: 720 } },
+            }],
+        },
+        numbering: {
+            config: [{
+                reference: 'ordered-list',
+                levels: [{ level: 0, format: docx.LevelFormat.DECIMAL, text: '%1.', alignment: docx.AlignmentType.START, style: { paragraph: { indent: { left: 720, hanging: 360 } } } }],
+            }],
+        },
+        sections: [{ children: paragraphs }],
+    });
+    return docx.Packer.toBuffer(file);
+};
+
+// Unicode fonts embedded in PDF exports (the built-in PDF fonts only cover WinAnsi Latin)
+// Noto Sans covers Latin, Greek and Cyrillic; the CJK and Devanagari families take over for those scripts.
+const PDF_FONTS = {
+    sans: '@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf',
+    'sans-bold': '@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf',
+    'sans-italic': '@expo-google-fonts/noto-sans/400Regular_Italic/NotoSans_400Regular_Italic.ttf',
+    'sans-bold-italic': '@expo-google-fonts/noto-sans/700Bold_Italic/NotoSans_700Bold_Italic.ttf',
+    cjk: '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf',
+    'cjk-bold': '@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf',
+    devanagari: '@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf',
+    'devanagari-bold': '@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf',
+};
+const PDF_SCRIPT_FAMILIES = [
+    // Noto Sans SC also carries the arrows, math operators and check marks that Noto Sans lacks
+    { family: 'cjk', pattern: /[\p{scx=Han}\p{scx=Hiragana}\p{scx=Katakana}\p{scx=Bopomofo}\u3000-\u303F\uFF00-\uFFEF\u2190-\u21FF\u2200-\u22FF\u2460-\u24FF\u25A0-\u27BF]/u },
+    { family: 'devanagari', pattern: /\p{scx=Devanagari}/u },
+];
+// Spaces, digits and ASCII punctuation stay in the surrounding run (every family has them)
+const PDF_NEUTRAL_CHAR = /[\s\d.,;:!?'"()\-]/;
+
+// Helper: Split text into segments that each need one font family ('sans', 'cjk' or 'devanagari')
+const splitByScript = (text) => {
+    const segments = [];
+    for (const char of text) {
+        const last = segments[segments.length - 1];
+        if (last && PDF_NEUTRAL_CHAR.test(char)) {
+            last.text += char;
+            continue;
+        }
+        const family = PDF_SCRIPT_FAMILIES.find(({ pattern }) => pattern.test(char))?.family || 'sans';
+        if (last && last.family === family) last.text += char;
+        else segments.push({ family, text: char });
+    }
+    return segments;
+};
+
+// Helper: Render a document tree as a PDF buffer
+// Embeds the Noto fonts above so non-Latin notes render; emoji are dropped.
+const renderPdf = (document) => {
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({ size: 'A4', margin: 56, info: { Title: document.title } });
+        const chunks = [];
+        pdf.on('data', chunk => chunks.push(chunk));
+        pdf.on('end', () => resolve(Buffer.concat(chunks)));
+        pdf.on('error', reject);
+
+        Object.entries(PDF_FONTS).forEach(([name, file]) => pdf.registerFont(name, require.resolve(file)));
+
+        // CJK and Devanagari fonts have no italics; ASCII code keeps the monospaced Courier
+        const fontFor = (run) => {
+            if (run.code && run.family === 'sans' && /^[\x20-\x7E\s]*$/.test(run.text)) return 'Courier';
+            if (run.family !== 'sans') return run.bold ? `${run.family}-bold` : run.family;
+            if (run.bold && run.italic) return 'sans-bold-italic';
+            if (run.bold) return 'sans-bold';
+            if (run.italic) return 'sans-italic';
+            return 'sans';
+        };
+        const writeRuns = (inlines, size, options = {}) => {
+            const runs = inlines
+                .flatMap(run => splitByScript(run.text.replace(EMOJI_PATTERN, '')).map(segment => ({ ...run, ...segment })));
+            if (runs.length === 0) runs.push({ text: ' ', family: 'sans' });
+            pdf.fontSize(size);
+            runs.forEach((run, index) => {
+                pdf.font(fontFor(run)).fillColor(run.link ? '#1a5fb4' : '#1f2933').text(run.text, {
+                    ...options,
+                    link: run.link || null,
+                    underline: !!run.link,
+                    continued: index < runs.length - 1,
+                });
+            });
+        };
+
+        const left = pdf.page.margins.left;
+        const headingSizes = { 1: 20, 2: 15, 3: 12.5 };
+
+        document.blocks.forEach(block => {
+            pdf.x = left;
+            switch (block.type) {
+                case 'heading':
+                    pdf.moveDown(block.level === 1 ? 0.2 : 0.6);
+                    writeRuns(block.inlines.map(run => ({ ...run, bold: true })), headingSizes[block.level]);
+                    pdf.moveDown(0.3);
+                    break;
+                case 'list': {
+                    let number = 0;
+                    block.items.forEach(item => {
+                        const indent = 14 + item.level * 16;
+                        if (item.level === 0) number++;
+                        let marker = item.level === 0 ? '•' : '–';
+                        if (block.ordered && item.level === 0) marker = `${number}.`;
+                        if (item.checked !== null) marker = item.checked ? '[x]' : '[ ]';
+
+                        const y = pdf.y;
+                        pdf.font('sans').fontSize(11).fillColor('#1f2933').text(marker, left + indent - 14, y, { lineBreak: false });
+                        pdf.x = left + indent + (marker.length > 2 ? 8 : 0);
+                        pdf.y = y;
+                        writeRuns(item.inlines, 11, { width: pdf.page.width - pdf.page.margins.right - pdf.x, lineGap: 2 });
+                    });
+                    pdf.moveDown(0.5);
+                    break;
+                }
+                case 'quote':
+                    pdf.x = left + 16;
+                    writeRuns(block.inlines.map(run => ({ ...run, italic: true })), 11, { lineGap: 2 });
+                    pdf.moveDown(0.5);
+                    break;
+                case 'code':
+                    writeRuns([{ text: block.text, code: true }], 9.5, { lineGap: 1 });
+                    pdf.moveDown(0.5);
+                    break;
+                case 'rule': {
+                    const y = pdf.y + 4;
+                    pdf.moveTo(left, y).lineTo(pdf.page.width - pdf.page.margins.right, y).strokeColor('#cbd2d9').stroke();
+                    pdf.moveDown(0.8);
+                    break;
+                }
+                default:
+                    writeRuns(block.inlines, 11, { lineGap: 2, align: 'left' });
+                    pdf.moveDown(0.5);
+            }
+        });
+
+        pdf.end();
+    });
+};
+
+// Helper: Render a document tree in an export format (md and html as strings, docx and pdf as Buffers)
+const renderNoteDocument = async (document, format) => {
+    if (format === 'md') return renderMarkdown(document);
+    if (format === 'html') return renderHtml(document);
+    if (format === 'docx') return renderDocx(document);
+    return renderPdf(document);
+};
+
+module.exports = {
+    NOTE_EXPORT_FORMATS,
+    isNoteExportFormat,
+    parseNoteDocument,
+    renderMarkdown,
+    renderHtml,
+    splitByScript,
+    renderNoteDocument,
+};
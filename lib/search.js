@@ -0,0 +1,105 @@
+// Note search: local embeddings, similarity, snippets with highlights and merging
+// keyword and semantic rankings into one result list
+
+// Local embedding size (stand-in for tests and offline development)
+const LOCAL_EMBEDDING_DIMENSIONS = 256;
+
+// Helper: Deterministic feature-hashing embedding, no API calls
+const localEmbedding = (text) => {
+    const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+        let hash = 2166136261; // FNV-1a
+        for (let i = 0; i < word.length; i++) {
+            hash = Math.imul(hash ^ word.charCodeAt(i), 16777619);
+        }
+        // Sign bit spreads collisions out instead of always adding up
+        vector[(hash >>> 1) % LOCAL_EMBEDDING_DIMENSIONS] += hash & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+};
+
+// Helper: Cosine similarity of two vectors
+const cosineSimilarity = (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Helper: Lowercase search terms of a query (single letters are ignored)
+const getSearchTerms = (query) => {
+    return (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(term => term.length > 1);
+};
+
+// Helper: Best matching excerpt of a note, with highlight ranges for the query terms
+// Returns { snippet, highlights: [{ start, end }] } (offsets into snippet)
+const buildSearchSnippet = (content, terms, maxLength = 240) => {
+    const termPattern = terms.length > 0
+        ? new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'giu')
+        : null;
+    const countMatches = (text) => (termPattern ? (text.match(termPattern) || []).length : 0);
+
+    const paragraphs = content.split(/\n+/).map(line => line.trim()).filter(Boolean);
+    const best = paragraphs.reduce((top, paragraph) => (countMatches(paragraph) > countMatches(top) ? paragraph : top), paragraphs[0] || '');
+
+    // Center long paragraphs on the first match
+    let snippet = best;
+    if (snippet.length > maxLength) {
+        const firstMatch = termPattern ? snippet.search(termPattern) : -1;
+        const start = Math.max(0, Math.min(firstMatch - Math.floor(maxLength / 3), snippet.length - maxLength));
+        snippet = `${start > 0 ? '…' : ''}${snippet.substring(start, start + maxLength).trim()}${start + maxLength < best.length ? '…' : ''}`;
+    }
+
+    const highlights = [];
+    if (termPattern) {
+        for (const match of snippet.matchAll(termPattern)) {
+            highlights.push({ start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return { snippet, highlights };
+};
+
+// Helper: Merge keyword/semantic rankings ({ keyword: [{ note, score }], semantic: [...] }) into results
+// Single-mode searches keep the raw score; hybrid uses reciprocal rank fusion (k = 60).
+// Returns [{ note, score, matchedBy, snippet, highlights }] without note content
+const mergeSearchRankings = (rankings, query, { mode = 'hybrid', limit = 10 } = {}) => {
+    const merged = new Map();
+    for (const [matchType, ranking] of Object.entries(rankings)) {
+        ranking.forEach(({ note, score }, rank) => {
+            const id = note._id.toString();
+            const entry = merged.get(id) || { note, score: 0, matchedBy: [] };
+            entry.score += mode === 'hybrid' ? 1 / (60 + rank + 1) : score;
+            entry.matchedBy.push(matchType);
+            merged.set(id, entry);
+        });
+    }
+
+    const terms = getSearchTerms(query);
+    return [...merged.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ note: { content, ...note }, score, matchedBy }) => ({
+            note,
+            score,
+            matchedBy,
+            ...buildSearchSnippet(content, terms),
+        }));
+};
+
+module.exports = {
+    LOCAL_EMBEDDING_DIMENSIONS,
+    localEmbedding,
+    cosineSimilarity,
+    getSearchTerms,
+    buildSearchSnippet,
+    mergeSearchRankings,
+};
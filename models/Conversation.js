@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Conversation Schema for multi-turn follow-up threads about a note or reply
+const ConversationSchema = new mongoose.Schema({
+    recoveryCode: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    // 'note' expands on notes, 'reply' refines a message reply (same as /api/followup)
+    type: {
+        type: String,
+        enum: ['note', 'reply'],
+        default: 'note',
+    },
+    // Saved note the thread is about; when set, the note's current content is the context
+    noteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        default: null,
+        index: true,
+    },
+    // Snapshot of the note/reply text for threads without a saved note
+    context: {
+        type: String,
+        default: '',
+    },
+    title: {
+        type: String,
+        default: 'Follow-up',
+    },
+    messages: [{
+        role: { type: String, enum: ['user', 'model'], required: true },
+        text: { type: String, required: true },
+        createdAt: { type: Date, default: Date.now },
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
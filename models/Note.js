@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Note Schema for server-side note storage (keyed by the account's recovery code)
+const NoteSchema = new mongoose.Schema({
+    recoveryCode: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    title: {
+        type: String,
+        default: 'Untitled Note',
+    },
+    content: {
+        type: String,
+        required: true,
+    },
+    // Where the note came from
+    sourceType: {
+        type: String,
+        enum: ['text', 'image', 'voice', 'pdf', 'website', 'youtube', 'combined', 'reply'],
+        default: 'text',
+    },
+    sourceUrl: {
+        type: String,
+        default: null,
+    },
+    // Generation settings used for /api/notes
+    settings: {
+        noteLength: { type: String, default: 'standard' },
+        format: { type: String, default: 'bullet' },
+        tone: { type: String, default: 'professional' },
+        language: { type: String, default: 'english' },
+    },
+    // Version history, oldest first. The last entry matches content.
+    currentVersion: {
+        type: Number,
+        default: 1,
+    },
+    versions: {
+        type: [{
+            version: { type: Number, required: true },
+            title: String,
+            content: { type: String, required: true },
+            // What made the change
+            source: {
+                type: String,
+                enum: ['generated', 'created', 'user_edit', 'polish', 'translate', 'followup', 'restore'],
+                default: 'user_edit',
+            },
+            restoredFrom: { type: Number, default: null },
+            createdAt: { type: Date, default: Date.now },
+        }],
+        select: false,
+    },
+    // Semantic search vector (see getEmbeddingProvider in server.js)
+    embedding: {
+        type: [Number],
+        default: undefined,
+        select: false,
+    },
+    embeddingModel: {
+        type: String,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    // Version history and embeddings are large; API responses never include them
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.versions;
+            delete ret.embedding;
+            return ret;
+        },
+    },
+});
+
+// Newest first listing per account
+NoteSchema.index({ recoveryCode: 1, updatedAt: -1 });
+// Keyword search (title matches count more than body matches)
+NoteSchema.index({ title: 'text', content: 'text' }, { weights: { title: 5, content: 1 }, name: 'NoteTextIndex' });
+
+// Use the first markdown heading (or first line) as the title
+NoteSchema.statics.extractTitle = function (content) {
+    const heading = content.match(/^#{1,3}\s+(.+)$/m);
+    const firstLine = content.split('\n').find(line => line.trim().length > 0) || '';
+    const title = (heading ? heading[1] : firstLine).replace(/[*_#]/g, '').trim();
+    return title.substring(0, 120) || 'Untitled Note';
+};
+
+// Oldest versions beyond this are dropped
+const MAX_NOTE_VERSIONS = 50;
+
+// Record a new version and make it the current content
+// Load the note with .select('+versions') first
+NoteSchema.methods.addVersion = function (content, source, { title, restoredFrom = null } = {}) {
+    // Notes saved before version history existed start with their current content as version 1
+    if (this.versions.length === 0) {
+        this.versions.push({ version: this.currentVersion || 1, title: this.title, content: this.content, source: 'created', createdAt: this.createdAt });
+    }
+
+    const now = new Date();
+    const version = this.versions[this.versions.length - 1].version + 1;
+    if (title) this.title = title;
+    this.content = content;
+    this.currentVersion = version;
+    this.updatedAt = now;
+    this.versions.push({ version, title: this.title, content, source, restoredFrom, createdAt: now });
+
+    if (this.versions.length > MAX_NOTE_VERSIONS) {
+        this.versions.splice(0, this.versions.length - MAX_NOTE_VERSIONS);
+    }
+    return version;
+};
+
+// Find a stored version by number
+NoteSchema.methods.getVersion = function (version) {
+    return this.versions.find(entry => entry.version === version) || null;
+};
+
+module.exports = mongoose.model('Note', NoteSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Study Set Schema for generated flashcards and quizzes (graded server-side)
+const StudySetSchema = new mongoose.Schema({
+    recoveryCode: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    // Saved note the set was generated from (null for raw text)
+    noteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        default: null,
+    },
+    title: {
+        type: String,
+        default: 'Study Set',
+    },
+    flashcards: [{
+        front: { type: String, required: true },
+        back: { type: String, required: true },
+    }],
+    quiz: [{
+        question: { type: String, required: true },
+        options: { type: [String], required: true },
+        answerIndex: { type: Number, required: true },
+        explanation: { type: String, default: '' },
+    }],
+    attempts: [{
+        answers: [Number],
+        score: Number,
+        total: Number,
+        createdAt: { type: Date, default: Date.now },
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Grade a quiz attempt. answers[i] is the chosen option index for question i (null = skipped)
+// Returns { score, total, percent, results: [{ questionIndex, selectedIndex, answerIndex, correct, explanation }] }
+StudySetSchema.methods.gradeAttempt = function (answers) {
+    const results = this.quiz.map((question, questionIndex) => {
+        const selected = Number.isInteger(answers[questionIndex]) ? answers[questionIndex] : null;
+        return {
+            questionIndex,
+            selectedIndex: selected,
+            answerIndex: question.answerIndex,
+            correct: selected === question.answerIndex,
+            explanation: question.explanation,
+        };
+    });
+
+    const score = results.filter(result => result.correct).length;
+    const total = results.length;
+    return {
+        score,
+        total,
+        percent: total > 0 ? Math.round((score / total) * 100) : 0,
+        results,
+    };
+};
+
+module.exports = mongoose.model('StudySet', StudySetSchema);
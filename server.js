@@ -1,19 +1,45 @@
 const express = require('express');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
 const mongoose = require('mongoose');
 
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { YoutubeTranscript } = require('youtube-transcript');
+const ytdl = require('@distube/ytdl-core');
+const { PDFParse } = require('pdf-parse');
 const { Expo } = require('expo-server-sdk');
 require('dotenv').config();
 
 // Initialize Expo Push SDK
 const expo = new Expo();
 
-// Import User model
+// Import models
 const User = require('./models/User');
+const Note = require('./models/Note');
+const Conversation = require('./models/Conversation');
+const StudySet = require('./models/StudySet');
+
+// Import feature modules
+const { LOCAL_EMBEDDING_DIMENSIONS, localEmbedding, cosineSimilarity, getSearchTerms, mergeSearchRankings } = require('./lib/search');
+const { escapeHtml } = require('./lib/html');
+const { FLASHCARD_EXPORT_FORMATS, extractFlashcardPairs, buildFlashcardCsv, buildQuizletTsv, buildAnkiPackage } = require('./lib/flashcard-export');
+const { NOTE_EXPORT_FORMATS, isNoteExportFormat, parseNoteDocument, renderNoteDocument } = require('./lib/note-export');
+const {
+    actionItemsSchema,
+    getDateInTimezone,
+    isValidIsoDate,
+    normalizeForQuote,
+    buildActionItemsPrompt,
+    cleanActionItems,
+} = require('./lib/action-items');
+const {
+    calendarEventsSchema,
+    buildCalendarEventsPrompt,
+    cleanCalendarEvents,
+    buildIcsCalendar,
+} = require('./lib/calendar');
+const { extractArticle } = require('./lib/article-extractor');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -49,9 +75,12 @@ const getAppConfig = async () => {
     }
 };
 
-mongoose.connect(process.env.MONGODB_URI, { dbName: DB_NAME })
-    .then(() => console.log(`✅ Connected to MongoDB Atlas (${DB_NAME})`))
-    .catch(err => console.error('❌ MongoDB connection error:', err));
+// Only connect when run as the server (the tests require this file for its helpers)
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI, { dbName: DB_NAME })
+        .then(() => console.log(`✅ Connected to MongoDB Atlas (${DB_NAME})`))
+        .catch(err => console.error('❌ MongoDB connection error:', err));
+}
 
 // Middleware
 app.use(cors());
@@ -84,10 +113,166 @@ const getStreamingModel = (maxTokens = 4096) => {
     });
 };
 
+// Get a model with a system instruction (multi-turn conversations)
+const getChatModel = (systemInstruction, maxTokens = 2048) => {
+    return genAI.getGenerativeModel({
+        model: 'gemini-2.5-flash',
+        systemInstruction,
+        generationConfig: {
+            temperature: 0.7,
+            topP: 0.9,
+            maxOutputTokens: maxTokens,
+        },
+    });
+};
+
+// Embedding providers for semantic search, chosen with EMBEDDING_PROVIDER (default: gemini)
+// embed(text, taskType) resolves to an array of numbers
+const embeddingProviders = {
+    gemini: {
+        name: 'gemini-embedding-001',
+        embed: async (text, taskType) => {
+            const model = genAI.getGenerativeModel({ model: 'gemini-embedding-001' });
+            const result = await model.embedContent({
+                content: { role: 'user', parts: [{ text }] },
+                taskType,
+            });
+            return result.embedding.values;
+        },
+    },
+    local: {
+        name: `local-hash-${LOCAL_EMBEDDING_DIMENSIONS}`,
+        embed: async (text) => localEmbedding(text),
+    },
+};
+
+// Get the embedding provider
+const getEmbeddingProvider = () => {
+    return embeddingProviders[process.env.EMBEDDING_PROVIDER] || embeddingProviders.gemini;
+};
+
 // Helper: Sleep function for delays
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Audio formats accepted for voice notes (for error messages)
+const SUPPORTED_AUDIO_FORMATS = 'm4a, 3gp, webm/opus, wav, mp3, aac, ogg';
+
+// Client MIME type aliases -> the MIME type sent to Gemini
+const AUDIO_MIME_ALIASES = {
+    'audio/mp4': 'audio/mp4',
+    'audio/m4a': 'audio/mp4',
+    'audio/x-m4a': 'audio/mp4',
+    'audio/aac-adts': 'audio/aac',
+    'audio/aac': 'audio/aac',
+    'audio/x-aac': 'audio/aac',
+    'audio/3gpp': 'audio/3gpp',
+    'audio/3gp': 'audio/3gpp',
+    'video/3gpp': 'audio/3gpp',
+    'audio/webm': 'audio/webm',
+    'video/webm': 'audio/webm',
+    'audio/wav': 'audio/wav',
+    'audio/x-wav': 'audio/wav',
+    'audio/wave': 'audio/wav',
+    'audio/mpeg': 'audio/mpeg',
+    'audio/mp3': 'audio/mpeg',
+    'audio/ogg': 'audio/ogg',
+    'audio/opus': 'audio/ogg',
+};
+
+// Helper: Detect the audio container from magic bytes, falling back to the client's mimeType
+// Returns a MIME type, or null when the format is not supported
+const detectAudioMimeType = (base64Audio, clientMimeType) => {
+    const header = Buffer.from(base64Audio.substring(0, 64), 'base64');
+    const ascii = (start, end) => header.subarray(start, end).toString('latin1');
+
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+    if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+    if (header.subarray(0, 4).equals(Buffer.from([0x1A, 0x45, 0xDF, 0xA3]))) return 'audio/webm'; // EBML header
+    if (ascii(4, 8) === 'ftyp') {
+        // MP4 family: 3gp brands are "3gp4", "3gp5", "3gg6"...; m4a uses "M4A ", "isom", "mp42"
+        return ascii(8, 11).startsWith('3g') ? 'audio/3gpp' : 'audio/mp4';
+    }
+    if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+    if (header[0] === 0xFF && (header[1] & 0xE0) === 0xE0) {
+        // Frame sync: layer bits 00 mean AAC (ADTS), anything else is MPEG audio
+        return (header[1] & 0x06) === 0 ? 'audio/aac' : 'audio/mpeg';
+    }
+
+    // Unknown magic bytes: trust the client only for formats we support
+    const normalized = typeof clientMimeType === 'string'
+        ? clientMimeType.toLowerCase().split(';')[0].trim()
+        : null;
+    return AUDIO_MIME_ALIASES[normalized] || null;
+};
+
+// Image formats accepted for image notes
+const SUPPORTED_IMAGE_FORMATS = 'JPEG, PNG, WebP, HEIC/HEIF';
+const MAX_IMAGES = 20;
+
+const IMAGE_MIME_ALIASES = {
+    'image/jpeg': 'image/jpeg',
+    'image/jpg': 'image/jpeg',
+    'image/png': 'image/png',
+    'image/webp': 'image/webp',
+    'image/heic': 'image/heic',
+    'image/heif': 'image/heif',
+};
+
+// Helper: Detect the image format from magic bytes, falling back to the client's mimeType
+// Returns a MIME type, or null when the format is not supported
+const detectImageMimeType = (base64Image, clientMimeType) => {
+    const header = Buffer.from(base64Image.substring(0, 64), 'base64');
+    const ascii = (start, end) => header.subarray(start, end).toString('latin1');
+
+    if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) return 'image/jpeg';
+    if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(brand)) return 'image/heic';
+        if (['mif1', 'msf1'].includes(brand)) return 'image/heif';
+    }
+
+    const normalized = typeof clientMimeType === 'string'
+        ? clientMimeType.toLowerCase().split(';')[0].trim()
+        : null;
+    return IMAGE_MIME_ALIASES[normalized] || null;
+};
+
+// Helper: Normalize image note input into ordered pages [{ page, data, mimeType }]
+// Accepts a base64 string, or an array of base64 strings / { data, mimeType, page } objects.
+// Data URIs are accepted too. Unsupported formats get mimeType: null.
+const parseImageInputs = (content) => {
+    const items = (Array.isArray(content) ? content : [content])
+        .map(item => (typeof item === 'string' ? { data: item } : { ...item }))
+        .map((item, index) => ({ ...item, order: Number.isFinite(item.page) ? item.page : index + 1 }))
+        .filter(item => typeof item.data === 'string' && item.data.length > 0)
+        .sort((a, b) => a.order - b.order);
+
+    return items.map((item, index) => {
+        let data = item.data;
+        let clientMimeType = item.mimeType;
+
+        const dataUri = data.match(/^data:([^;,]+);base64,/);
+        if (dataUri) {
+            clientMimeType = clientMimeType || dataUri[1];
+            data = data.substring(dataUri[0].length);
+        }
+
+        return { page: index + 1, data, mimeType: detectImageMimeType(data, clientMimeType) };
+    });
+};
+
+// Long content settings (map-reduce summarization)
+const MAX_SOURCE_CHARS = 300000; // Hard cap on any source (~3 hours of transcript)
+const LONG_CONTENT_THRESHOLD = 20000; // Above this, content is summarized in chunks first
+const CHUNK_SIZE = 15000;
+const CHUNK_OVERLAP = 1000;
+const MAP_CONCURRENCY = 3;
+
 // Helper: Fetch Website Content
+// Returns { content, paragraphs, title, byline, publishedAt, language, leadImage, siteName, excerpt }
+// paragraphs are the article's text blocks in order; content joins them
 const fetchWebsiteContent = async (url) => {
     try {
         const { data } = await axios.get(url, {
@@ -95,25 +280,12 @@ const fetchWebsiteContent = async (url) => {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
             }
         });
-        const $ = cheerio.load(data);
-
-        // Remove scripts, styles, and ads
-        $('script').remove();
-        $('style').remove();
-        $('nav').remove();
-        $('footer').remove();
-        $('.ads').remove();
-
-        // Extract meaningful text
-        let content = '';
-        $('h1, h2, h3, p, li').each((i, el) => {
-            const text = $(el).text().trim();
-            if (text.length > 20) {
-                content += text + '\n';
-            }
-        });
+        const article = extractArticle(data, url);
 
-        return content.substring(0, 20000); // Limit context window
+        return {
+            ...article,
+            content: article.paragraphs.join('\n').substring(0, MAX_SOURCE_CHARS), // Callers condense long pages
+        };
     } catch (error) {
         if (error.response && error.response.status === 403) {
             throw new Error('WEB_ACCESS_BLOCKED: This website blocks automated access. Please copy/paste content manually.');
@@ -122,8 +294,171 @@ const fetchWebsiteContent = async (url) => {
     }
 };
 
+// Helper: Article metadata lines for the website prompt (empty when the page has none)
+const buildArticleDetails = (article) => {
+    const details = [
+        article.title ? `TITLE: ${article.title}` : null,
+        article.siteName ? `SITE: ${article.siteName}` : null,
+        article.byline ? `AUTHOR: ${article.byline}` : null,
+        article.publishedAt ? `PUBLISHED: ${article.publishedAt}` : null,
+    ].filter(Boolean);
+    return details.length > 0 ? `${details.join('\n')}\n` : '';
+};
+
+// Helper: Number website paragraphs for citation (P1, P2, ...), within MAX_SOURCE_CHARS like any source
+const numberWebsiteParagraphs = (paragraphs) => {
+    const numbered = [];
+    let total = 0;
+    for (const text of paragraphs) {
+        total += text.length;
+        if (total > MAX_SOURCE_CHARS && numbered.length > 0) break;
+        numbered.push({ id: numbered.length + 1, text });
+    }
+    return numbered;
+};
+
+// Helper: Verify [P3: "quote"] citations in website notes against the page
+// Verified citations become numbered references ([1]); a quote found in a different paragraph than
+// cited is re-attributed. Bullets without a verified citation are flagged, or dropped when mode is 'drop'.
+// Returns { notes, citations: [{ ref, paragraph, quote, paragraphText }], unverifiedClaims: [{ text, reason }] }
+const groundWebsiteNotes = (notes, paragraphs, mode = 'flag') => {
+    const normalizedParagraphs = paragraphs.map(paragraph => ({ ...paragraph, normalized: normalizeForQuote(paragraph.text) }));
+    const citations = [];
+    const unverifiedClaims = [];
+
+    const verifyQuote = (paragraphId, quote) => {
+        const normalizedQuote = normalizeForQuote(quote).replace(/^\.+|\.+$/g, '').trim();
+        if (normalizedQuote.length < 3) return null;
+        const cited = normalizedParagraphs.find(paragraph => paragraph.id === paragraphId);
+        if (cited && cited.normalized.includes(normalizedQuote)) return cited;
+        return normalizedParagraphs.find(paragraph => paragraph.normalized.includes(normalizedQuote)) || null;
+    };
+
+    const lines = notes.split('\n').flatMap(line => {
+        let verifiedCount = 0;
+        let citedCount = 0;
+        const rewritten = line.replace(/\s*\[P(\d+)\s*:\s*["“]([^"”\]]+)["”]\]/g, (match, paragraphId, quote) => {
+            citedCount++;
+            const paragraph = verifyQuote(parseInt(paragraphId, 10), quote.trim());
+            if (!paragraph) return '';
+
+            verifiedCount++;
+            let citation = citations.find(item => item.paragraph === paragraph.id && item.quote === quote.trim());
+            if (!citation) {
+                citation = { ref: citations.length + 1, paragraph: paragraph.id, quote: quote.trim(), paragraphText: paragraph.text };
+                citations.push(citation);
+            }
+            return ` [${citation.ref}]`;
+        });
+
+        // Only bullet points are claims; headings, labels and the source link are left alone
+        if (!/^\s*(?:[•\-*]|\d+[.)])\s+/.test(line) || verifiedCount > 0) {
+            return [rewritten];
+        }
+
+        const claim = rewritten.replace(/^\s*(?:[•\-*]|\d+[.)])\s+/, '').trim();
+        unverifiedClaims.push({ text: claim, reason: citedCount > 0 ? 'quote_not_found' : 'no_citation' });
+        return mode === 'drop' ? [] : [`${rewritten.trimEnd()} ⚠️ *(not found in source)*`];
+    });
+
+    return { notes: lines.join('\n'), citations, unverifiedClaims };
+};
+
+// Helper: Decode HTML entities left in caption text
+const decodeCaptionText = (text) => {
+    return text
+        .replace(/&amp;/g, '&')
+        .replace(/&#39;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+// Helper: Extract the video ID from Shorts, standard URLs, or share links
+const extractYouTubeVideoId = (url) => {
+    let videoId = url;
+
+    if (url.includes('shorts/')) {
+        const match = url.match(/shorts\/([a-zA-Z0-9_-]+)/);
+        if (match) videoId = match[1];
+    } else if (url.includes('v=')) {
+        const match = url.match(/[?&]v=([a-zA-Z0-9_-]+)/);
+        if (match) videoId = match[1];
+    } else if (url.includes('youtu.be/')) {
+        const match = url.match(/youtu\.be\/([a-zA-Z0-9_-]+)/);
+        if (match) videoId = match[1];
+    }
+
+    return videoId;
+};
+
+// Caption track kinds accepted by the captionKind option
+const CAPTION_KINDS = ['any', 'manual', 'auto'];
+
+// Helper: Normalize caption options from a request body
+const parseCaptionOptions = ({ captionLanguage, captionFallbackLanguages, captionKind, translateCaptions } = {}) => {
+    const languages = [captionLanguage, ...(Array.isArray(captionFallbackLanguages) ? captionFallbackLanguages : [])]
+        .filter(lang => typeof lang === 'string' && lang.trim().length > 0)
+        .map(lang => lang.trim());
+
+    return {
+        languages,
+        kind: CAPTION_KINDS.includes(captionKind) ? captionKind : 'any',
+        allowTranslation: translateCaptions === true,
+    };
+};
+
+// Helper: Does a track's language match a requested code? ('en' matches 'en-US')
+const captionLanguageMatches = (trackLanguage, requested) => {
+    const track = trackLanguage.toLowerCase();
+    const wanted = requested.toLowerCase();
+    return track === wanted || track.split('-')[0] === wanted.split('-')[0];
+};
+
+// Helper: Pick the best caption track for the requested options
+// Order: ranked languages (manual before auto-generated unless captionKind says otherwise),
+// then the video's native language. Auto-translation is only used when allowed.
+// Returns { track, translateTo } or null
+const selectCaptionTrack = (tracks, { languages = [], kind = 'any', allowTranslation = false } = {}) => {
+    const isAuto = (track) => track.kind === 'asr';
+    const allowed = tracks.filter(track => kind === 'any' || (kind === 'auto' ? isAuto(track) : !isAuto(track)));
+    if (allowed.length === 0) return null;
+
+    // Manual captions are usually more accurate than auto-generated ones
+    const ranked = [...allowed.filter(track => !isAuto(track)), ...allowed.filter(isAuto)];
+
+    for (const language of languages) {
+        const track = ranked.find(t => captionLanguageMatches(t.languageCode, language));
+        if (track) return { track, translateTo: null };
+    }
+
+    // The auto-generated track is in the spoken language, so it tells us the native language
+    const spokenLanguage = tracks.find(isAuto)?.languageCode;
+    const nativeTrack = (spokenLanguage && ranked.find(t => captionLanguageMatches(t.languageCode, spokenLanguage))) || ranked[0];
+
+    if (languages.length > 0 && allowTranslation && nativeTrack.isTranslatable) {
+        return { track: nativeTrack, translateTo: languages[0] };
+    }
+    return { track: nativeTrack, translateTo: null };
+};
+
+// Helper: Describe the caption track used, for the API response
+const describeCaptionTrack = (track, translateTo = null) => {
+    const name = track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || track.languageCode;
+    return {
+        languageCode: translateTo || track.languageCode,
+        name,
+        kind: track.kind === 'asr' ? 'auto' : 'manual',
+        translated: Boolean(translateTo),
+        ...(translateTo && { translatedFrom: track.languageCode }),
+    };
+};
+
 // Helper: Manual Transcript Fetch (Fallback)
-const fetchManualTranscript = async (videoId) => {
+// Returns { segments: [{ start, duration, text }] (seconds), track } or null
+const fetchManualTranscript = async (videoId, captionOptions = {}) => {
     try {
         const { data } = await axios.get(`https://www.youtube.com/watch?v=${videoId}`, {
             headers: {
@@ -137,77 +472,210 @@ const fetchManualTranscript = async (videoId) => {
         if (!match) return null;
 
         const tracks = JSON.parse(match[1]);
-        // Prefer English, fallback to first available
-        const track = tracks.find(t => t.languageCode === 'en') || tracks[0];
+        const selection = selectCaptionTrack(tracks, captionOptions);
 
-        if (!track) return null;
+        if (!selection) {
+            const kindLabel = captionOptions.kind === 'auto' ? 'auto-generated' : 'manual';
+            throw new Error(`CAPTIONS_UNAVAILABLE: This video has no ${kindLabel} captions. Available: ${tracks.map(t => `${t.languageCode}${t.kind === 'asr' ? ' (auto)' : ''}`).join(', ')}`);
+        }
 
-        const { data: transcriptXml } = await axios.get(track.baseUrl);
+        const { track, translateTo } = selection;
+        const trackUrl = translateTo ? `${track.baseUrl}&tlang=${encodeURIComponent(translateTo)}` : track.baseUrl;
+        const { data: transcriptXml } = await axios.get(trackUrl);
         const $ = cheerio.load(transcriptXml, { xmlMode: true });
 
-        let text = '';
+        const segments = [];
         $('text').each((i, el) => {
-            text += $(el).text() + ' ';
+            segments.push({
+                start: parseFloat($(el).attr('start')) || 0,
+                duration: parseFloat($(el).attr('dur')) || 0,
+                text: decodeCaptionText($(el).text()),
+            });
         });
 
-        // Clean up HTML entities
-        return text.replace(/&#39;/g, "'").replace(/&quot;/g, '"').replace(/&amp;/g, '&').trim();
+        return segments.length > 0 ? { segments, track: describeCaptionTrack(track, translateTo) } : null;
     } catch (error) {
+        if (error.message.includes('CAPTIONS_UNAVAILABLE')) throw error;
         console.error('Manual scraping failed:', error.message);
         return null;
     }
 };
 
-// Helper: Fetch YouTube Transcript
-const fetchYouTubeTranscript = async (url) => {
-    console.log(`[DEBUG] Fetching transcript for URL: ${url}`);
-    try {
-        let videoId = url;
-
-        // Extract ID from Shorts, standard URLs, or share links
-        if (url.includes('shorts/')) {
-            const match = url.match(/shorts\/([a-zA-Z0-9_-]+)/);
-            if (match) videoId = match[1];
-        } else if (url.includes('v=')) {
-            const match = url.match(/[?&]v=([a-zA-Z0-9_-]+)/);
-            if (match) videoId = match[1];
-        } else if (url.includes('youtu.be/')) {
-            const match = url.match(/youtu\.be\/([a-zA-Z0-9_-]+)/);
-            if (match) videoId = match[1];
-        }
-
-        console.log(`[DEBUG] Extracted Video ID: ${videoId}`);
-
-        let transcript = '';
+// Helper: Library Transcript Fetch
+// The library cannot tell manual and auto-generated tracks apart, so it only
+// honors the ranked language list and is skipped when a captionKind is requested.
+// Returns { segments, track } or null
+const fetchLibraryTranscript = async (videoId, { languages = [] } = {}) => {
+    // Try each requested language in order, then let the library pick
+    for (const lang of [...languages, null]) {
         try {
-            const transcriptItems = await YoutubeTranscript.fetchTranscript(videoId);
+            const transcriptItems = await YoutubeTranscript.fetchTranscript(videoId, lang ? { lang } : undefined);
             if (transcriptItems && transcriptItems.length > 0) {
-                transcript = transcriptItems.map(item => item.text).join(' ');
+                return {
+                    segments: transcriptItems.map(item => ({
+                        start: item.offset,
+                        duration: item.duration,
+                        text: decodeCaptionText(decodeCaptionText(item.text)), // Library double-encodes entities
+                    })),
+                    track: {
+                        languageCode: transcriptItems[0].lang,
+                        name: transcriptItems[0].lang,
+                        kind: 'unknown',
+                        translated: false,
+                    },
+                };
             }
         } catch (libError) {
-            console.log(`[DEBUG] Library failed, trying manual fallback: ${libError.message}`);
+            console.log(`[DEBUG] Library failed${lang ? ` for ${lang}` : ''}: ${libError.message}`);
         }
+    }
+    return null;
+};
+
+// Helper: Fetch YouTube Transcript
+// Returns { videoId, segments: [{ start, duration, text }], transcript, track }
+const fetchYouTubeTranscript = async (url, captionOptions = {}) => {
+    console.log(`[DEBUG] Fetching transcript for URL: ${url}`);
+    try {
+        const videoId = extractYouTubeVideoId(url);
+        console.log(`[DEBUG] Extracted Video ID: ${videoId}`);
 
-        // Fallback to manual scraping if library failed
-        if (!transcript || transcript.trim().length === 0) {
-            console.log('[DEBUG] Trying manual fallback...');
-            const manualTranscript = await fetchManualTranscript(videoId);
-            if (manualTranscript) {
-                transcript = manualTranscript;
+        // Track-aware scraping first: it's the only path that knows manual vs auto-generated tracks
+        let result = await fetchManualTranscript(videoId, captionOptions);
+
+        // Fallback to the library if scraping failed. It can't tell manual and
+        // auto-generated tracks apart, so it can't honor a requested captionKind
+        if (!result) {
+            if (captionOptions.kind && captionOptions.kind !== 'any') {
+                const kindLabel = captionOptions.kind === 'auto' ? 'auto-generated' : 'manual';
+                throw new Error(`CAPTIONS_UNAVAILABLE: Could not confirm that this video has ${kindLabel} captions. Retry without captionKind to accept any track.`);
             }
+            console.log('[DEBUG] Manual scraping failed, trying library fallback...');
+            result = await fetchLibraryTranscript(videoId, captionOptions);
         }
 
-        if (!transcript || transcript.trim().length === 0) {
+        const segments = (result?.segments || []).filter(segment => segment.text.length > 0);
+        if (segments.length === 0) {
             throw new Error('YOUTUBE_BLOCK: Automated access blocked by YouTube. Please copy/paste transcript manually.');
         }
 
-        return transcript.substring(0, 25000); // Limit context window
+        console.log(`[DEBUG] Using caption track: ${result.track.languageCode} (${result.track.kind})`);
+        const transcript = segments.map(segment => segment.text).join(' ');
+        return { videoId, segments, transcript, track: result.track };
     } catch (error) {
-        if (error.message.includes('YOUTUBE_BLOCK')) throw error;
+        if (error.message.includes('YOUTUBE_BLOCK') || error.message.includes('CAPTIONS_UNAVAILABLE')) throw error;
         throw new Error(`Failed to fetch YouTube transcript: ${error.message}`);
     }
 };
 
+// Helper: Format seconds as m:ss or h:mm:ss
+const formatTimestamp = (totalSeconds) => {
+    const seconds = Math.floor(totalSeconds);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+// Helper: Parse m:ss or h:mm:ss back into seconds
+const parseTimestamp = (timestamp) => {
+    return timestamp.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+};
+
+// Helper: Fetch YouTube video metadata (title, channel, chapters, duration)
+// Metadata is optional for notes, so failures return null instead of throwing
+const fetchYouTubeMetadata = async (videoId) => {
+    try {
+        const info = await ytdl.getBasicInfo(`https://www.youtube.com/watch?v=${videoId}`);
+        const details = info.videoDetails;
+        const durationSeconds = parseInt(details.lengthSeconds, 10) || null;
+
+        return {
+            title: details.title,
+            channel: details.author?.name || details.ownerChannelName || null,
+            channelUrl: details.author?.channel_url || null,
+            publishDate: details.publishDate || details.uploadDate || null,
+            durationSeconds,
+            duration: durationSeconds ? formatTimestamp(durationSeconds) : null,
+            chapters: (details.chapters || []).map(chapter => ({
+                title: chapter.title,
+                time: formatTimestamp(chapter.start_time),
+                seconds: Math.floor(chapter.start_time),
+                url: `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(chapter.start_time)}s`,
+            })),
+        };
+    } catch (error) {
+        console.log(`[DEBUG] Metadata fetch failed for ${videoId}: ${error.message}`);
+        return null;
+    }
+};
+
+// Helper: Describe video metadata for the prompt
+const buildVideoDetails = (metadata) => {
+    if (!metadata) {
+        return 'Not available. Infer the topic from the transcript.';
+    }
+
+    const lines = [
+        `Title: ${metadata.title}`,
+        metadata.channel && `Channel: ${metadata.channel}`,
+        metadata.publishDate && `Published: ${metadata.publishDate}`,
+        metadata.duration && `Duration: ${metadata.duration}`,
+    ].filter(Boolean);
+
+    if (metadata.chapters.length > 0) {
+        lines.push('Creator chapters:');
+        lines.push(...metadata.chapters.map(chapter => `[${chapter.time}] ${chapter.title}`));
+    }
+    return lines.join('\n');
+};
+
+// Helper: Group caption segments into timestamped blocks for the prompt
+// e.g. "[4:05] text spoken between 4:05 and ~4:35"
+const buildTimedTranscript = (segments, blockSeconds = 30) => {
+    const blocks = [];
+    let current = null;
+
+    for (const segment of segments) {
+        if (!current || segment.start - current.start >= blockSeconds) {
+            current = { start: segment.start, texts: [] };
+            blocks.push(current);
+        }
+        current.texts.push(segment.text);
+    }
+
+    return blocks
+        .map(block => `[${formatTimestamp(block.start)}] ${block.texts.join(' ')}`)
+        .join('\n')
+        .substring(0, MAX_SOURCE_CHARS); // Long videos are condensed by condenseLongContent
+};
+
+// Helper: Turn [m:ss] timestamps in notes into &t= deep links to the video
+// Returns { notes, timestamps: [{ time, seconds, title, url }] }
+const linkYouTubeTimestamps = (notes, videoId, segments) => {
+    const videoEnd = segments.length > 0
+        ? segments[segments.length - 1].start + segments[segments.length - 1].duration
+        : Infinity;
+    const timestamps = [];
+
+    const linkedNotes = notes.split('\n').map(line => {
+        return line.replace(/\[((?:\d{1,2}:)?\d{1,2}:\d{2})\](?!\()/g, (match, time) => {
+            const seconds = parseTimestamp(time);
+            if (seconds > videoEnd + 5) return match; // Model invented a time past the end
+
+            const url = `https://www.youtube.com/watch?v=${videoId}&t=${seconds}s`;
+            // Section headers become the clickable table of contents
+            if (/^\s*(#|\*\*)/.test(line)) {
+                const title = line.replace(match, '').replace(/[#*]/g, '').trim();
+                timestamps.push({ time, seconds, title, url });
+            }
+            return `[${time}](${url})`;
+        });
+    }).join('\n');
+
+    return { notes: linkedNotes, timestamps };
+};
+
 // Helper: API Call with Retry Logic (Exponential Backoff)
 const generateWithRetry = async (model, content, retries = 3, delay = 2000) => {
     try {
@@ -225,6 +693,289 @@ const generateWithRetry = async (model, content, retries = 3, delay = 2000) => {
     }
 };
 
+// Helper: Verbatim transcript of an audio recording, with speaker turns and rough timestamps
+// Returns { text, segments: [{ time, seconds, speaker, text }] }
+const transcribeAudio = async (base64Audio, mimeType) => {
+    const prompt = `You are an expert transcriber. Transcribe this audio recording word for word.
+
+RULES:
+1. Keep the original wording and language; do NOT summarize or translate
+2. Remove only filler words (um, uh, you know) and false starts
+3. Start a new line at every change of speaker
+4. Label speakers "Speaker 1", "Speaker 2", ... (use names if they introduce themselves)
+5. Start every line with the approximate time it begins, as [m:ss]
+6. Mark unclear words as [inaudible]
+
+FORMAT EVERY LINE AS:
+[0:00] Speaker 1: What they said
+
+Return ONLY the transcript:`;
+
+    const transcriptModel = getModel(8192);
+    const result = await generateWithRetry(transcriptModel, [
+        prompt,
+        {
+            inlineData: {
+                mimeType,
+                data: base64Audio,
+            },
+        },
+    ]);
+    const text = result.response.text().trim();
+
+    const segments = [];
+    for (const line of text.split('\n')) {
+        const match = line.match(/^\s*\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]\s*([^:]{1,40}):\s*(.+)$/);
+        if (match) {
+            segments.push({ time: match[1], seconds: parseTimestamp(match[1]), speaker: match[2].trim(), text: match[3].trim() });
+        } else if (line.trim() && segments.length > 0) {
+            // Continuation of the previous speaker's turn
+            segments[segments.length - 1].text += ' ' + line.trim();
+        }
+    }
+
+    return { text, segments };
+};
+
+// Get a model that answers with JSON matching responseSchema
+const getJsonModel = (responseSchema, maxTokens = 4096) => {
+    return genAI.getGenerativeModel({
+        model: 'gemini-2.5-flash',
+        generationConfig: {
+            temperature: 0.4,
+            topP: 0.9,
+            maxOutputTokens: maxTokens,
+            responseMimeType: 'application/json',
+            responseSchema,
+        },
+    });
+};
+
+// Helper: Generate JSON in Gemini's schema mode, validated server-side, retrying on schema failure
+// prompt is a string or a parts array (e.g. prompt + inline image data).
+// validate(data) may clean data in place and returns a list of problems (empty = valid).
+// Problems are sent back to the model on retry.
+const generateJson = async (prompt, responseSchema, validate, { maxTokens = 4096, retries = 1 } = {}) => {
+    let problems = [];
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        const retryNote = `\n\nYOUR PREVIOUS ANSWER WAS INVALID:\n${problems.map(problem => `- ${problem}`).join('\n')}\nFix these problems in your new answer.`;
+        let retryPrompt = prompt;
+        if (attempt > 0) {
+            retryPrompt = Array.isArray(prompt) ? [...prompt, retryNote] : prompt + retryNote;
+        }
+
+        const result = await generateWithRetry(getJsonModel(responseSchema, maxTokens), retryPrompt);
+        let data;
+        try {
+            data = JSON.parse(result.response.text());
+        } catch (parseError) {
+            problems = [`Response was not valid JSON (${parseError.message}). It may have been cut off; be more concise.`];
+            continue;
+        }
+
+        problems = validate(data);
+        if (problems.length === 0) return data;
+        console.log(`⚠️ JSON validation failed (attempt ${attempt + 1}): ${problems.slice(0, 5).join('; ')}`);
+    }
+
+    throw requestError(502, 'The AI response did not match the expected format', 'JSON_INVALID', problems.slice(0, 5));
+};
+
+// Pages with less extractable text than this are treated as scanned images
+const MIN_PDF_PAGE_TEXT = 25;
+
+// Helper: OCR scanned PDF pages through the vision model
+const ocrPdfPages = async (base64Pdf, pageNumbers) => {
+    const prompt = `You are an expert at reading scanned documents. This PDF contains scanned pages without a text layer.
+
+Transcribe ONLY these pages: ${pageNumbers.join(', ')}
+
+RULES:
+- Transcribe the text exactly as written, including handwriting
+- Describe tables and diagrams briefly in [brackets]
+- Start each page with a line "--- PAGE <number> ---"
+- Return ONLY the transcription, no explanations`;
+
+    const visionModel = getModel(8000);
+    const result = await generateWithRetry(visionModel, [
+        prompt,
+        {
+            inlineData: {
+                mimeType: 'application/pdf',
+                data: base64Pdf,
+            },
+        },
+    ]);
+
+    // Split the transcription back into pages
+    const pages = {};
+    const parts = result.response.text().split(/^-{2,}\s*PAGE\s+(\d+)\s*-{2,}\s*$/im);
+    for (let i = 1; i < parts.length; i += 2) {
+        pages[parseInt(parts[i], 10)] = parts[i + 1].trim();
+    }
+    return pages;
+};
+
+// Helper: Extract PDF text page by page
+// Returns [{ page, text, ocr }] where ocr marks pages read by the vision model
+const extractPdfPages = async (base64Pdf) => {
+    const buffer = Buffer.from(base64Pdf, 'base64');
+    if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+        throw requestError(400, 'Content is not a valid PDF file. Please upload the PDF as base64 data.', 'PDF_INVALID');
+    }
+
+    const parser = new PDFParse({ data: buffer });
+    let pages;
+    try {
+        const result = await parser.getText();
+        pages = result.pages.map(p => ({ page: p.num, text: p.text.trim(), ocr: false }));
+    } catch (error) {
+        if (error.name === 'PasswordException') {
+            throw requestError(422, 'This PDF is password protected. Please remove the password and try again.', 'PDF_PROTECTED');
+        }
+        throw requestError(422, 'This PDF is damaged and could not be read.', 'PDF_INVALID', error.message);
+    } finally {
+        await parser.destroy();
+    }
+
+    // Scanned pages have no text layer, so read them through the vision model
+    const scannedPages = pages.filter(p => p.text.length < MIN_PDF_PAGE_TEXT).map(p => p.page);
+    if (scannedPages.length > 0) {
+        console.log(`[DEBUG] OCR for scanned PDF pages: ${scannedPages.join(', ')}`);
+        try {
+            const ocrText = await ocrPdfPages(base64Pdf, scannedPages);
+            for (const p of pages) {
+                if (ocrText[p.page]) {
+                    p.text = ocrText[p.page];
+                    p.ocr = true;
+                }
+            }
+        } catch (ocrError) {
+            console.log('PDF OCR failed, using text layer only:', ocrError.message);
+        }
+    }
+
+    const readablePages = pages.filter(p => p.text.length > 0);
+    if (readablePages.length === 0) {
+        throw requestError(422, 'No readable text found in this PDF.', 'PDF_EMPTY');
+    }
+    return readablePages;
+};
+
+// Helper: Split long text into overlapping chunks, breaking at paragraph/sentence boundaries
+const splitIntoChunks = (text, chunkSize = CHUNK_SIZE, overlap = CHUNK_OVERLAP) => {
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+        let end = Math.min(start + chunkSize, text.length);
+
+        if (end < text.length) {
+            // Don't break in the first 70% of a chunk, or chunks get too small
+            const minEnd = start + Math.floor(chunkSize * 0.7);
+            const paragraphEnd = text.lastIndexOf('\n\n', end);
+            // Searched from end - 1 so the kept period stays inside the chunk
+            const sentenceEnd = Math.max(text.lastIndexOf('. ', end - 1), text.lastIndexOf('.\n', end - 1));
+            const wordEnd = text.lastIndexOf(' ', end);
+
+            if (paragraphEnd > minEnd) end = paragraphEnd;
+            else if (sentenceEnd > minEnd) end = sentenceEnd + 1;
+            else if (wordEnd > minEnd) end = wordEnd;
+        }
+
+        chunks.push(text.slice(start, end).trim());
+        if (end >= text.length) break;
+
+        // Step back by the overlap, then forward to the next word
+        const overlapStart = text.indexOf(' ', end - overlap);
+        start = overlapStart > start && overlapStart < end ? overlapStart + 1 : end;
+    }
+
+    return chunks.filter(chunk => chunk.length > 0);
+};
+
+// Helper: Split numbered paragraph lines ("[P3] text") into chunks that end on paragraph boundaries
+// A paragraph longer than a chunk is split further, and every piece keeps its paragraph id.
+const splitIntoCitedChunks = (text, chunkSize = CHUNK_SIZE) => {
+    const chunks = [];
+    const add = (line) => {
+        const last = chunks.length - 1;
+        if (last >= 0 && chunks[last].length + line.length + 1 <= chunkSize) chunks[last] += `\n${line}`;
+        else chunks.push(line);
+    };
+
+    for (const line of text.split('\n')) {
+        if (line.length <= chunkSize) {
+            add(line);
+            continue;
+        }
+        const [, prefix, body] = line.match(/^(\[P\d+\] )?([\s\S]*)$/);
+        const idPrefix = prefix || '';
+        splitIntoChunks(body, chunkSize - idPrefix.length).forEach(piece => add(idPrefix + piece));
+    }
+
+    return chunks.filter(chunk => chunk.trim().length > 0);
+};
+
+// Helper: Write notes for one chunk of a long source (map step)
+// With citations, the chunk is numbered paragraphs ([P3] ...) and every point cites one of them.
+const summarizeChunk = async (chunk, index, total, sourceLabel, { citations = false } = {}) => {
+    const prompt = `You are an expert note-taker. This is part ${index + 1} of ${total} of a long ${sourceLabel}. ${citations ? 'Each paragraph starts with its id, like [P3].' : 'Parts overlap slightly.'}
+
+CONTENT (part ${index + 1} of ${total}):
+"""
+${chunk}
+"""
+
+INSTRUCTIONS:
+1. Write detailed notes covering EVERY topic in this part, in the order they appear
+2. Keep all facts, names, numbers, dates, definitions and examples
+3. Use short section headers and bullet points (•)
+4. Do NOT add an introduction, conclusion or key takeaways
+5. Write in the same language as the content${citations ? `
+6. End EVERY bullet point with a citation: [P3: "exact words"] where the words are 4-20 words copied
+   character for character from paragraph P3` : ''}
+
+Generate the notes for this part now:`;
+
+    // Citations make the notes longer
+    const chunkModel = getModel(citations ? 3000 : 2000);
+    const result = await generateWithRetry(chunkModel, prompt);
+    return result.response.text().trim();
+};
+
+// Helper: Condense long content with map-reduce
+// Short content is returned as-is. Long content is split into overlapping chunks,
+// each chunk gets its own notes, and the combined part notes are returned for the
+// caller's prompt to merge into one document (reduce step).
+// With citations, text is numbered paragraphs ([P3] ...): chunks end on paragraph boundaries
+// and the part notes keep citing the original ids, so groundWebsiteNotes can check every quote.
+const condenseLongContent = async (text, sourceLabel = 'document', onProgress = () => {}, { citations = false } = {}) => {
+    const source = text.substring(0, MAX_SOURCE_CHARS);
+    if (source.length <= LONG_CONTENT_THRESHOLD) {
+        return source;
+    }
+
+    const chunks = citations ? splitIntoCitedChunks(source) : splitIntoChunks(source);
+    console.log(`[DEBUG] Long ${sourceLabel} (${source.length} chars), summarizing ${chunks.length} chunks${citations ? ' with citations' : ''}`);
+
+    const partNotes = [];
+    for (let i = 0; i < chunks.length; i += MAP_CONCURRENCY) {
+        onProgress('summarizing_chunks', `Summarizing part ${i + 1} of ${chunks.length}...`);
+        const batch = chunks.slice(i, i + MAP_CONCURRENCY);
+        const batchNotes = await Promise.all(
+            batch.map((chunk, j) => summarizeChunk(chunk, i + j, chunks.length, sourceLabel, { citations }))
+        );
+        partNotes.push(...batchNotes);
+    }
+
+    const keepCitations = citations ? ', and copy the [P#: "..."] citations of every point unchanged' : '';
+    return `[This ${sourceLabel} was too long to process at once. Below are ${citations ? 'cited ' : ''}notes for each of its ${chunks.length} consecutive parts. Merge them into ONE coherent document: combine related points, remove duplicates caused by overlapping parts, and keep the original order of topics${keepCitations}.]
+
+${partNotes.map((notes, i) => `=== PART ${i + 1} OF ${chunks.length} ===\n${notes}`).join('\n\n')}`;
+};
+
 // ==================== SHARED GUIDES ====================
 
 // Note length instructions with token limits
@@ -269,7 +1020,7 @@ const formatGuides = {
     // Notes formats
     bullet: 'Use standard bullet points with clear hierarchy.',
     meeting: 'Format as meeting minutes: structured with Attendees, Agenda, Discussion Points, Decisions made, and Action Items.',
-    study: 'Format as a study guide: Definitions, Key Concepts, Summaries, and Review Questions.',
+    study: 'Format as a study guide: Definitions (as **Term**: definition), Key Concepts, Summaries, and Review Questions (each as a "Q:" line followed by an "A:" line).',
     todo: 'Format as a To-Do list: prioritized tasks, clear checkboxes, and deadlines/timeframes if implied.',
     summary: 'Format as an executive summary: High-level overview, key findings, and strategic recommendations. Paragraph form.',
     blog: 'Format as a structured blog post skeleton: Catchy Title, Introduction, clearly headed Body Paragraphs, and Conclusion.',
@@ -303,72 +1054,295 @@ const styleGuides = {
     numbered: 'Format the response as a numbered list.',
 };
 
-// ==================== NOTES ENDPOINT ====================
-app.post('/api/notes', async (req, res) => {
-    try {
-        const { type, content, noteLength = 'standard', format = 'bullet', tone = 'professional', language = 'english' } = req.body;
+// ==================== COMBINED SOURCES HELPERS ====================
+
+const MAX_COMBINED_SOURCES = 8;
+const COMBINED_SOURCE_TYPES = ['text', 'image', 'voice', 'pdf', 'website', 'youtube'];
+
+// Helper: Load one source of a combined-notes request with the single-source helpers
+// source is { type, content, mimeType?, label? }. Returns { id, type, label, url, text, parts }
+// where text is prompt-ready source text (null for images) and parts holds inline image data.
+const loadCombinedSource = async (source, id, onProgress) => {
+    const { type, content, mimeType } = source;
+    const loaded = { id, type, label: source.label || null, url: null, text: null, parts: [] };
+
+    switch (type) {
+        case 'text':
+            loaded.label = loaded.label || Note.extractTitle(content);
+            loaded.text = await condenseLongContent(content, 'text', onProgress);
+            break;
+
+        case 'website': {
+            const page = await fetchWebsiteContent(content);
+            loaded.url = content;
+            loaded.label = loaded.label || page.title || content;
+            loaded.text = await condenseLongContent(page.content, 'web page', onProgress);
+            break;
+        }
 
-        if (!content) {
-            return res.status(400).json({ error: 'Content is required' });
+        case 'youtube': {
+            const [video, metadata] = await Promise.all([
+                fetchYouTubeTranscript(content, parseCaptionOptions(source)),
+                fetchYouTubeMetadata(extractYouTubeVideoId(content)),
+            ]);
+            loaded.url = content;
+            loaded.label = loaded.label || metadata?.title || content;
+            loaded.text = await condenseLongContent(buildTimedTranscript(video.segments), 'video transcript', onProgress);
+            break;
         }
 
-        const lengthConfig = lengthGuides[noteLength] || lengthGuides.standard;
-        const lengthInstruction = lengthConfig.instruction;
-        const maxTokens = lengthConfig.maxTokens;
+        case 'pdf': {
+            const pages = await extractPdfPages(content);
+            loaded.label = loaded.label || `PDF document (${pages.length} pages)`;
+            loaded.text = await condenseLongContent(
+                pages.map(p => `[Page ${p.page}]\n${p.text}`).join('\n\n'),
+                'PDF document (keep the [Page N] references)',
+                onProgress
+            );
+            break;
+        }
 
-        const formatInstruction = formatGuides[format] || formatGuides.bullet;
+        case 'voice': {
+            const audioMimeType = detectAudioMimeType(content, mimeType);
+            if (!audioMimeType) {
+                throw requestError(400, 'Unsupported audio format', 'AUDIO_UNSUPPORTED_FORMAT');
+            }
+            // Transcribe first so the recording can be merged as text with the other sources
+            const transcript = await transcribeAudio(content, audioMimeType);
+            loaded.label = loaded.label || 'Audio recording';
+            loaded.text = await condenseLongContent(transcript.text, 'audio transcript', onProgress);
+            break;
+        }
 
-        const toneInstruction = toneGuides[tone] || toneGuides.professional;
+        case 'image': {
+            const images = parseImageInputs(content);
+            if (images.length === 0 || images.some(image => !image.mimeType)) {
+                throw requestError(400, 'Unsupported image format', 'IMAGE_UNSUPPORTED_FORMAT');
+            }
+            loaded.label = loaded.label || (images.length > 1 ? `Images (${images.length} pages)` : 'Image');
+            loaded.parts = images.flatMap(image => [
+                `[${id}] ${loaded.label}${images.length > 1 ? `, page ${image.page}` : ''}:`,
+                { inlineData: { mimeType: image.mimeType, data: image.data } },
+            ]);
+            break;
+        }
 
-        // Language instruction
-        const languageInstruction = language && language.toLowerCase() !== 'english'
-            ? `IMPORTANT: Generate ALL content in ${language}. Provide the SAME level of detail and number of points as you would in English. Do NOT shorten or summarize when translating. Use natural ${language} phrasing.`
-            : 'Keep the output in English.';
+        default:
+            throw requestError(400, `Invalid source type: ${type}`);
+    }
 
-        let prompt = '';
-        let result;
+    return loaded;
+};
 
-        switch (type) {
-            case 'text':
-                prompt = `You are an expert note-taking assistant. Transform the following content into perfectly organized, professional notes.
+// Helper: Check the shape of a combined-notes source list without loading anything
+const validateCombinedSources = (sourceList) => {
+    if (!Array.isArray(sourceList) || sourceList.length === 0) {
+        throw requestError(400, 'Combined notes need a list of sources');
+    }
+    if (sourceList.length > MAX_COMBINED_SOURCES) {
+        throw requestError(400, `Too many sources (maximum ${MAX_COMBINED_SOURCES})`, 'SOURCES_TOO_MANY');
+    }
+    const invalid = sourceList.findIndex(source => !source || !COMBINED_SOURCE_TYPES.includes(source.type) || !source.content);
+    if (invalid !== -1) {
+        throw requestError(400, `Source ${invalid + 1} needs a type (${COMBINED_SOURCE_TYPES.join(', ')}) and content`);
+    }
+};
 
-INPUT CONTENT:
-"""
-${content}
-"""
+// Helper: Load every source of a combined-notes request, in order
+// A source that fails to load is reported (status 'failed') instead of failing the whole request.
+// Returns { loaded: [...loadCombinedSource results], sources: [{ id, type, label, url, status, error }] }
+const loadCombinedSources = async (sourceList, onProgress = () => {}) => {
+    validateCombinedSources(sourceList);
 
-LENGTH REQUIREMENT: ${lengthInstruction}
-FORMAT REQUIREMENT: ${formatInstruction}
-TONE REQUIREMENT: ${toneInstruction}
-LANGUAGE REQUIREMENT: ${languageInstruction}
+    const loaded = [];
+    const sources = [];
+    for (let i = 0; i < sourceList.length; i++) {
+        const id = `S${i + 1}`;
+        const { type, content, label } = sourceList[i];
+        onProgress('loading_source', `Loading source ${i + 1} of ${sourceList.length} (${type})...`);
 
-INSTRUCTIONS:
-1. Create a clear, hierarchical structure with sections
-2. Extract key information according to the length requirement
-3. Use bullet points (•) for lists, not dashes
-4. Bold important terms by surrounding them with **asterisks**
-5. Add a "📌 Key Takeaways" section at the end
+        try {
+            const source = await loadCombinedSource(sourceList[i], id, onProgress);
+            loaded.push(source);
+            sources.push({ id, type, label: source.label, url: source.url, status: 'ok', error: null });
+        } catch (error) {
+            console.error(`Combined source ${id} (${type}) failed:`, error.message);
+            const url = ['website', 'youtube'].includes(type) ? content : null;
+            sources.push({ id, type, label: label || url, url, status: 'failed', error: error.message });
+        }
+    }
 
-FORMAT YOUR RESPONSE AS:
-# Appropriate Title Based on Content
+    if (loaded.length === 0) {
+        throw requestError(422, 'None of the sources could be loaded', 'SOURCES_UNAVAILABLE', sources);
+    }
+    return { loaded, sources };
+};
 
-• Section headers in bold
-• Organized content with bullet points
-• Sub-points indented properly
+// Helper: Clean source tags in combined notes and append the source list
+// Tags like [S9] that don't match a loaded source are removed.
+const finishCombinedNotes = (notes, sources) => {
+    const loadedIds = new Set(sources.filter(source => source.status === 'ok').map(source => source.id));
+    const cleaned = notes.replace(/( ?)\[(S\d+(?:\s*,\s*S\d+)*)\]/g, (match, space, ids) => {
+        const valid = ids.split(',').map(tag => tag.trim()).filter(tag => loadedIds.has(tag));
+        return valid.length > 0 ? `${space}[${valid.join(', ')}]` : '';
+    });
 
-## Key Takeaways
-• Most important point 1
-• Most important point 2
-• Most important point 3
+    const sourceList = sources
+        .filter(source => source.status === 'ok')
+        .map(source => `• [${source.id}] ${source.url && source.url !== source.label ? `[${source.label}](${source.url})` : source.label} (${source.type})`)
+        .join('\n');
+    return `${cleaned.trim()}\n\n## 📚 Sources\n${sourceList}`;
+};
+
+// ==================== NOTES REQUEST BUILDER ====================
+
+// Helper: Error with an HTTP status, for request validation failures
+const requestError = (status, message, code, details) => {
+    const error = new Error(message);
+    error.status = status;
+    if (code) error.code = code;
+    if (details) error.details = details;
+    return error;
+};
+
+// Helper: Send a requestError as its status, anything else as a 500
+const sendRequestError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+    }
+    return res.status(500).json({ error: fallbackMessage, details: error.message });
+};
+
+const NOTES_REQUEST_TYPES = ['text', 'image', 'voice', 'pdf', 'website', 'youtube', 'combined'];
+
+// Helper: Check a notes request before any slow work is done
+// Throws the same request errors buildNotesRequest would, so /api/notes/stream can
+// reject bad input with a real status code before it switches to SSE.
+const validateNotesRequest = (body) => {
+    const { type, content } = body;
+
+    if (!content) {
+        throw requestError(400, 'Content is required');
+    }
+    if (!NOTES_REQUEST_TYPES.includes(type)) {
+        throw requestError(400, 'Invalid input type');
+    }
+    if (type !== 'image' && type !== 'combined' && typeof content !== 'string') {
+        throw requestError(400, `Content for ${type} notes must be a string`);
+    }
+
+    switch (type) {
+        case 'image':
+            const images = parseImageInputs(content);
+            if (images.length === 0) {
+                throw requestError(400, 'At least one image is required');
+            }
+            if (images.length > MAX_IMAGES) {
+                throw requestError(400, `Too many images (maximum ${MAX_IMAGES})`, 'IMAGE_TOO_MANY');
+            }
+            const unsupportedImage = images.find(image => !image.mimeType);
+            if (unsupportedImage) {
+                throw requestError(400, 'Unsupported image format', 'IMAGE_UNSUPPORTED_FORMAT',
+                    `Page ${unsupportedImage.page}: supported formats are ${SUPPORTED_IMAGE_FORMATS}`);
+            }
+            break;
+
+        case 'voice':
+            if (!detectAudioMimeType(content, body.mimeType)) {
+                throw requestError(400, 'Unsupported audio format', 'AUDIO_UNSUPPORTED_FORMAT',
+                    `Supported formats: ${SUPPORTED_AUDIO_FORMATS}`);
+            }
+            break;
+
+        case 'combined':
+            validateCombinedSources(content);
+            break;
+    }
+};
+
+// Helper: Load the source of a notes request and build the model input
+// Shared by /api/notes and /api/notes/stream. onProgress(stage, message) reports
+// slow steps (fetching, chunk summarization) before generation starts.
+// Returns {
+//   parts,              // prompt string, or [prompt, ...inline data] for image/voice/combined
+//   maxTokens,
+//   extras,             // type-specific fields returned next to notes
+//   postProcess,        // optional async (notes) => notes, run after generation
+//   mapGenerationError, // optional (error) => error, maps model failures to request errors
+// }
+const buildNotesRequest = async (body, onProgress = () => {}) => {
+    const { type, content, noteLength = 'standard', format = 'bullet', tone = 'professional', language = 'english' } = body;
+
+    validateNotesRequest(body);
+
+    const lengthConfig = lengthGuides[noteLength] || lengthGuides.standard;
+    const lengthInstruction = lengthConfig.instruction;
+    const maxTokens = lengthConfig.maxTokens;
+
+    const formatInstruction = formatGuides[format] || formatGuides.bullet;
+
+    const toneInstruction = toneGuides[tone] || toneGuides.professional;
+
+    // Language instruction
+    const languageInstruction = language && language.toLowerCase() !== 'english'
+        ? `IMPORTANT: Generate ALL content in ${language}. Provide the SAME level of detail and number of points as you would in English. Do NOT shorten or summarize when translating. Use natural ${language} phrasing.`
+        : 'Keep the output in English.';
+
+    let prompt = '';
+    let parts = null;
+    let postProcess = null;
+    let mapGenerationError = null;
+    const extras = {};
+
+    switch (type) {
+        case 'text':
+            const textContent = await condenseLongContent(content, 'text', onProgress);
+            prompt = `You are an expert note-taking assistant. Transform the following content into perfectly organized, professional notes.
+
+INPUT CONTENT:
+"""
+${textContent}
+"""
+
+LENGTH REQUIREMENT: ${lengthInstruction}
+FORMAT REQUIREMENT: ${formatInstruction}
+TONE REQUIREMENT: ${toneInstruction}
+LANGUAGE REQUIREMENT: ${languageInstruction}
+
+INSTRUCTIONS:
+1. Create a clear, hierarchical structure with sections
+2. Extract key information according to the length requirement
+3. Use bullet points (•) for lists, not dashes
+4. Bold important terms by surrounding them with **asterisks**
+5. Add a "📌 Key Takeaways" section at the end
+
+FORMAT YOUR RESPONSE AS:
+# Appropriate Title Based on Content
+
+• Section headers in bold
+• Organized content with bullet points
+• Sub-points indented properly
+
+## Key Takeaways
+• Most important point 1
+• Most important point 2
+• Most important point 3
 
 Generate the notes now:`;
 
-                const textModel = getModel(maxTokens);
-                result = await generateWithRetry(textModel, prompt);
-                break;
+            break;
+
+        case 'image':
+            // content is one base64 image, or an ordered array of pages
+            // (base64 strings or { data, mimeType, page } objects)
+            const images = parseImageInputs(content);
 
-            case 'image':
-                prompt = `You are an expert at analyzing images and extracting information. Analyze this image thoroughly and create comprehensive notes.
+            const isMultiPage = images.length > 1;
+            const imageIntro = isMultiPage
+                ? `You are an expert at analyzing documents and extracting information. The ${images.length} images below are consecutive pages of ONE document, in order (Page 1 to Page ${images.length}). Read them all and create ONE combined set of comprehensive notes.`
+                : 'You are an expert at analyzing images and extracting information. Analyze this image thoroughly and create comprehensive notes.';
+
+            prompt = `${imageIntro}
 
 LENGTH REQUIREMENT: ${lengthInstruction}
 FORMAT REQUIREMENT: ${formatInstruction}
@@ -380,10 +1354,13 @@ INSTRUCTIONS:
 2. If it's a diagram/chart: Explain what it shows and extract all data
 3. If it's a photo of notes/whiteboard: Clean up and organize the content
 4. If it's any other image: Describe it and note key observations
-5. Apply the requested Tone, Format, and Language settings.
+5. Apply the requested Tone, Format, and Language settings.${isMultiPage ? `
+6. Treat the pages as one continuous document: sentences and lists may continue across pages
+7. Merge repeated headings and do NOT write separate notes per page
+8. Add page references in parentheses where useful, e.g. (p. 3)` : ''}
 
 FORMAT YOUR RESPONSE AS:
-📷 **Image Analysis Notes**
+📷 **${isMultiPage ? 'Document Notes' : 'Image Analysis Notes'}**
 
 **What This Shows:**
 [Brief description]
@@ -396,20 +1373,18 @@ FORMAT YOUR RESPONSE AS:
 
 Generate the notes now following all requirements:`;
 
-                const visionModel = getModel(maxTokens);
-                result = await generateWithRetry(visionModel, [
-                    prompt,
-                    {
-                        inlineData: {
-                            mimeType: 'image/jpeg',
-                            data: content,
-                        },
-                    },
-                ]);
-                break;
+            // Label each page so the model can keep the order
+            const imageParts = images.flatMap(image => [
+                ...(isMultiPage ? [`Page ${image.page}:`] : []),
+                { inlineData: { mimeType: image.mimeType, data: image.data } },
+            ]);
+
+            parts = [prompt, ...imageParts];
+            extras.pageCount = images.length;
+            break;
 
-            case 'voice':
-                prompt = `You are an expert transcriber and note-taker. Transcribe this audio and convert it into organized, professional notes.
+        case 'voice':
+            prompt = `You are an expert transcriber and note-taker. Transcribe this audio and convert it into organized, professional notes.
 
 LENGTH REQUIREMENT: ${lengthInstruction}
 FORMAT REQUIREMENT: ${formatInstruction}
@@ -438,64 +1413,56 @@ FORMAT YOUR RESPONSE AS:
 
 Generate the notes now following all requirements:`;
 
-                const audioModel = getModel(maxTokens);
-
-                // Try different mime types based on what Expo typically records
-                // iOS uses .m4a (audio/m4a), Android may use .3gp or .m4a
-                let audioMimeType = 'audio/mp4'; // Default fallback
-
-                // Try to detect from content or use common mobile formats
-                const supportedMimeTypes = ['audio/mp4', 'audio/m4a', 'audio/mpeg', 'audio/wav'];
-
-                try {
-                    result = await generateWithRetry(audioModel, [
-                        prompt,
-                        {
-                            inlineData: {
-                                mimeType: audioMimeType,
-                                data: content,
-                            },
-                        },
-                    ]);
-                } catch (audioError) {
-                    // If audio processing fails, try with a transcription-only approach
-                    console.log('Direct audio failed, attempting text-based processing');
-
-                    // Fall back to asking for help with the audio
-                    const fallbackPrompt = `The user has recorded an audio note but we couldn't process the audio directly.
-
-Please provide a template they can use to organize their voice notes:
-
-# Voice Notes Template
-
-**Recording Date:** Today's date
-
-**Main Topic:**
-Describe what the recording was about
-
-**Key Points Discussed:**
-• First key point
-• Second key point
-• Third key point
-
-**Action Items:**
-• ⏳ Task 1
-• ⏳ Task 2
-
-**Additional Notes:**
-Any other observations
-
----
-Tip: Try recording in a quieter environment for better results!`;
+            const audioMimeType = detectAudioMimeType(content, body.mimeType);
+
+            // Verbatim transcript runs next to the notes call when requested
+            const transcriptPromise = body.includeTranscript === true
+                ? transcribeAudio(content, audioMimeType).catch(transcriptError => {
+                    console.error('Transcript generation failed:', transcriptError.message);
+                    return null;
+                })
+                : null;
+
+            parts = [
+                prompt,
+                {
+                    inlineData: {
+                        mimeType: audioMimeType,
+                        data: content,
+                    },
+                },
+            ];
+            mapGenerationError = (audioError) => {
+                console.error(`Audio processing failed (${audioMimeType}):`, audioError.message);
+                return requestError(422, 'Could not process the audio recording', 'AUDIO_PROCESSING_FAILED', audioError.message);
+            };
+
+            if (transcriptPromise) {
+                postProcess = async (text) => {
+                    const audioTranscript = await transcriptPromise;
+                    extras.transcript = audioTranscript?.text || null;
+                    extras.transcriptSegments = audioTranscript?.segments || [];
+                    return text;
+                };
+            }
+            onProgress('analyzing_audio', 'Listening to the recording...');
+            break;
 
-                    result = await generateWithRetry(audioModel, fallbackPrompt);
-                }
-                break;
+        case 'pdf':
+            onProgress('reading_pdf', 'Reading PDF pages...');
+            const pdfPages = await extractPdfPages(content);
+            const pdfText = await condenseLongContent(
+                pdfPages.map(p => `[Page ${p.page}]\n${p.text}`).join('\n\n'),
+                'PDF document (keep the [Page N] references)',
+                onProgress
+            );
 
-            case 'pdf':
-                prompt = `The user has uploaded a PDF file named: "${content}"
+            prompt = `You are an expert document analyst. Create organized notes from this PDF document.
 
-Since I cannot read the PDF content directly, provide a professional note-taking template they can use.
+DOCUMENT CONTENT (page by page):
+"""
+${pdfText}
+"""
 
 LENGTH REQUIREMENT: ${lengthInstruction}
 FORMAT REQUIREMENT: ${formatInstruction}
@@ -503,53 +1470,64 @@ TONE REQUIREMENT: ${toneInstruction}
 LANGUAGE REQUIREMENT: ${languageInstruction}
 
 INSTRUCTIONS:
+1. Identify the document type (lecture slides, contract, report, article, etc.)
+2. Extract the key information, following the document's own structure
+3. Add page references in parentheses after each point, e.g. (p. 3) or (pp. 4-5)
+4. For contracts/legal text: highlight parties, obligations, dates, amounts and deadlines
+5. For slides: merge fragmented slide text into complete statements
+6. Bold important terms by surrounding them with **asterisks**
 
-📄 **Notes Template for: ${content}**
-
-**Document Overview**
-• Title: Document title here
-• Date: Date if applicable
-• Type: Report/Article/Manual/etc.
+FORMAT YOUR RESPONSE AS:
+📄 **PDF Notes**
 
-**Main Content**
+# Document Title
 
-Section 1: Topic
-• Key point here
-• Key point here
+**Overview**
+[Brief summary of what this document is about]
 
-Section 2: Topic
-• Key point here
-• Key point here
+## Section 1
+• Point (p. 1)
+• Point (p. 2)
 
-**Key Takeaways**
-• Most important point 1
-• Most important point 2
-• Most important point 3
+## Section 2
+• Point (p. 3)
 
-**Action Items**
-• Task 1
-• Task 2
+📌 **Key Takeaways**
+• Takeaway 1 (p. X)
+• Takeaway 2 (p. X)
 
-**Additional Notes**
-Space for extra observations
+Generate the notes now:`;
 
----
-Fill in this template as you review your PDF!
-(Note: Since I cannot read the PDF directly, I have provided a template. If you can copy the text from the PDF and paste it as text input, I can generate specific notes for you!)`;
+            break;
 
-                const pdfModel = getModel(maxTokens);
-                result = await generateWithRetry(pdfModel, prompt);
-                break;
+        case 'website':
+            onProgress('fetching_website', 'Fetching website...');
+            const website = await fetchWebsiteContent(content);
+            const websiteParagraphs = numberWebsiteParagraphs(website.paragraphs);
+            if (websiteParagraphs.length === 0) {
+                throw requestError(422, 'No readable text found on this page', 'WEBSITE_EMPTY');
+            }
 
-            case 'website':
-                const websiteText = await fetchWebsiteContent(content);
-                prompt = `You are an expert web researcher. Summarize the following website content into clear, organized notes.
+            // Markdown notes cite the page and are checked by groundWebsiteNotes. Structured and mind map
+            // output have no bullet lines to check, so they're written without citations.
+            const citeWebsite = body.output !== 'json' && body.output !== 'mindmap';
+            const websiteContent = citeWebsite
+                ? await condenseLongContent(
+                    websiteParagraphs.map(paragraph => `[P${paragraph.id}] ${paragraph.text}`).join('\n'),
+                    'web page',
+                    onProgress,
+                    { citations: true }
+                )
+                : await condenseLongContent(website.content, 'web page', onProgress);
+            const cite = (marker) => (citeWebsite ? ` ${marker}` : '');
+
+            prompt = `You are an expert web researcher. Summarize the following website content into clear, organized notes${citeWebsite ? ', citing the page for every point' : ''}.
 
 URL: ${content}
-
-WEBSITE CONTENT:
+${buildArticleDetails(website)}
+WEBSITE CONTENT${citeWebsite ? ' (one paragraph per line, each starting with its id like [P3])' : ''}:
 """
-${websiteText}
+${websiteContent}
 """
 
 LENGTH REQUIREMENT: ${lengthInstruction}
@@ -562,39 +1540,77 @@ INSTRUCTIONS:
 2. Extract important data, dates, or quotes
 3. Ignore navigation elements or footer text if any slipped through
 4. Organize logical sections with headers
+5. Only write points the page actually makes; do NOT add outside knowledge${citeWebsite ? `
+6. End EVERY bullet point with a citation: [P3: "exact words"] where the words are 4-20 words copied
+   character for character from paragraph P3, in the page's original language (even if the notes are translated).
+   Use several citations if a point combines paragraphs.` : ''}
 
 FORMAT YOUR RESPONSE AS:
 🌐 **Website Summary**
 
 **Source:** [${content}](${content})
 
-# Title of Article/Page
+# ${website.title || 'Title of Article/Page'}
 
 **Overview**
 [Brief summary of what this page is about]
 
 **Key Notes**
-• Point 1
-• Point 2
-• Point 3
+• Point 1${cite('[P2: "exact words from paragraph 2"]')}
+• Point 2${cite('[P5: "exact words from paragraph 5"]')}
+• Point 3${cite('[P7: "exact words"] [P9: "exact words"]')}
 
 **Important Details**
-• Detail A
-• Detail B
+• Detail A${cite('[P4: "exact words"]')}
+• Detail B${cite('[P11: "exact words"]')}
 
 Generate the notes now:`;
 
-                const webModel = getModel(maxTokens);
-                result = await generateWithRetry(webModel, prompt);
-                break;
+            extras.article = {
+                title: website.title,
+                byline: website.byline,
+                publishedAt: website.publishedAt,
+                language: website.language,
+                leadImage: website.leadImage,
+                siteName: website.siteName,
+            };
+
+            // Check every cited quote against the page; unsupported bullets are flagged (or dropped)
+            if (citeWebsite) {
+                postProcess = async (text) => {
+                    const grounded = groundWebsiteNotes(text, websiteParagraphs, body.citationMode);
+                    extras.citations = grounded.citations;
+                    extras.unverifiedClaims = grounded.unverifiedClaims;
+                    return grounded.notes;
+                };
+            }
 
-            case 'youtube':
-                const transcript = await fetchYouTubeTranscript(content);
-                prompt = `You are an expert video summarizer. Create detailed notes from this YouTube video transcript.
+            break;
+
+        case 'youtube':
+            onProgress('fetching_transcript', 'Fetching transcript...');
+            const [video, videoMetadata] = await Promise.all([
+                fetchYouTubeTranscript(content, parseCaptionOptions(body)),
+                fetchYouTubeMetadata(extractYouTubeVideoId(content)),
+            ]);
+
+            // Creator chapters are the best section skeleton when the video has them
+            const sectionInstruction = videoMetadata?.chapters.length > 0
+                ? 'Use the creator chapters as your sections, in order. Start each section header with the chapter time, e.g. "## [4:35] Chapter title"'
+                : 'Group related points into sections. Start EVERY section header with the [m:ss] timestamp from the transcript where that section begins. Only use timestamps that appear in the transcript, never invent them';
+            const transcript = await condenseLongContent(
+                buildTimedTranscript(video.segments),
+                'video transcript (keep the [m:ss] timestamps)',
+                onProgress
+            );
+            prompt = `You are an expert video summarizer. Create detailed notes from this YouTube video transcript.
 
 VIDEO URL: ${content}
 
-TRANSCRIPT:
+VIDEO DETAILS:
+${buildVideoDetails(videoMetadata)}
+
+TRANSCRIPT (each line starts with the [m:ss] time it was spoken):
 """
 ${transcript}
 """
@@ -606,7 +1622,7 @@ LANGUAGE REQUIREMENT: ${languageInstruction}
 
 INSTRUCTIONS:
 1. Reconstruct the logical flow of the video
-2. Group related points into sections with timestamps if possible (guess based on flow, or just use logical sections)
+2. ${sectionInstruction}
 3. Capture the core message and all supporting details
 4. Ignore filler speech ("um", "guys", "welcome back")
 
@@ -615,17 +1631,17 @@ FORMAT YOUR RESPONSE AS:
 
 **Source:** [Watch Video](${content})
 
-# Video Title / Topic
+# ${videoMetadata ? videoMetadata.title : 'Video Title / Topic'}
 
 **Executive Summary**
 [Concise summary of the video]
 
 **Key Topics**
-## Topic 1
+## [0:00] Topic 1
 • Detail
 • Detail
 
-## Topic 2
+## [4:35] Topic 2
 • Detail
 • Detail
 
@@ -635,23 +1651,87 @@ FORMAT YOUR RESPONSE AS:
 
 Generate the notes now:`;
 
-                const ytModel = getModel(maxTokens);
-                result = await generateWithRetry(ytModel, prompt);
-                break;
+            extras.videoId = video.videoId;
+            extras.captionTrack = video.track;
+            extras.video = videoMetadata;
+            postProcess = async (text) => {
+                const linked = linkYouTubeTimestamps(text, video.videoId, video.segments);
+                extras.timestamps = linked.timestamps;
+                return linked.notes;
+            };
+            break;
+
+        case 'combined':
+            // content is a list of sources: [{ type, content, mimeType?, label? }]
+            const combined = await loadCombinedSources(content, onProgress);
+            const sourceBlocks = combined.loaded
+                .filter(source => source.text !== null)
+                .map(source => `[${source.id}] ${source.type.toUpperCase()}: ${source.label}\n"""\n${source.text}\n"""`)
+                .join('\n\n');
+            const imageSources = combined.loaded.filter(source => source.parts.length > 0);
+
+            prompt = `You are an expert note-taking assistant. Merge ${combined.loaded.length} sources into ONE set of well-organized notes. Each source has an id like [S1].
+
+SOURCES:
+${sourceBlocks || '(only the images below)'}
+${imageSources.length > 0 ? `\nIMAGE SOURCES (attached below, each labeled with its id): ${imageSources.map(source => `[${source.id}] ${source.label}`).join(', ')}\n` : ''}
+LENGTH REQUIREMENT: ${lengthInstruction}
+FORMAT REQUIREMENT: ${formatInstruction}
+TONE REQUIREMENT: ${toneInstruction}
+LANGUAGE REQUIREMENT: ${languageInstruction}
 
-            default:
-                return res.status(400).json({ error: 'Invalid input type' });
-        }
+INSTRUCTIONS:
+1. Organize the notes by topic, NOT by source
+2. When several sources make the same point, write it ONCE and tag all of them
+3. End EVERY bullet point with the id(s) of the source(s) it comes from, e.g. [S1] or [S1, S3]
+4. Only use ids from the list above; never state a claim without a tag
+5. If sources disagree, give both views, each with its own tag
+6. Use bullet points (•) for lists and bold important terms with **asterisks**
+7. Add a "📌 Key Takeaways" section at the end, tagged the same way
 
-        let notes = result.response.text();
+FORMAT YOUR RESPONSE AS:
+📚 **Combined Notes**
 
-        // Check if response was truncated (cut off mid-sentence)
-        const finishReason = result.response.candidates?.[0]?.finishReason;
+# Title Covering All Sources
 
-        // Smart continuation: If truncated, ask AI to complete
-        if (finishReason === 'MAX_TOKENS') {
-            try {
-                const continuationPrompt = `The following notes were cut off mid-way. Complete them naturally from where they stopped. Do NOT repeat any content, just continue seamlessly.
+**Overview**
+[Brief summary of what the sources cover together] [S1, S2]
+
+## Topic 1
+• Point [S1]
+• Point both sources make [S1, S2]
+
+## Topic 2
+• Point [S2]
+
+📌 **Key Takeaways**
+• Takeaway 1 [S1, S2]
+• Takeaway 2 [S3]
+
+Generate the notes now:`;
+
+            parts = imageSources.length > 0 ? [prompt, ...imageSources.flatMap(source => source.parts)] : null;
+            extras.sources = combined.sources;
+            postProcess = async (text) => finishCombinedNotes(text, combined.sources);
+            break;
+
+        default:
+            throw requestError(400, 'Invalid input type');
+    }
+
+    return { parts: parts || prompt, maxTokens, extras, postProcess, mapGenerationError };
+};
+
+// ==================== CONTINUATION HELPERS ====================
+
+// How many times a cut-off stream is continued before giving up
+const MAX_STREAM_CONTINUATIONS = 2;
+// Continuation text held back before it's checked for overlap with what was already sent
+const CONTINUATION_OVERLAP_WINDOW = 300;
+
+// Helper: Prompt asking the model to continue notes that hit MAX_TOKENS
+const buildContinuationPrompt = (notes) => {
+    return `The following notes were cut off mid-way. Complete them naturally from where they stopped. Do NOT repeat any content, just continue seamlessly.
 
 INCOMPLETE NOTES (continue from here):
 """
@@ -659,13 +1739,363 @@ ${notes.slice(-500)}
 """
 
 Continue the notes now, picking up exactly where it stopped:`;
+};
+
+// Helper: Strip the start of a continuation that repeats the end of the existing text
+const removeContinuationOverlap = (existing, continuation, maxOverlap = 500) => {
+    const tail = existing.slice(-maxOverlap);
+    const text = continuation.replace(/^\s+/, '');
+
+    // Longest repeated prefix wins; very short matches are likely coincidence
+    for (let length = Math.min(tail.length, text.length); length >= 10; length--) {
+        if (tail.endsWith(text.slice(0, length))) {
+            return text.slice(length);
+        }
+    }
+    return continuation;
+};
+
+// Helper: Stream a continuation of cut-off notes through onText, without the overlap
+// Returns the continuation's finishReason (MAX_TOKENS means it was cut off again)
+const streamContinuation = async (notes, onText) => {
+    const model = getStreamingModel(1500); // Extra tokens for completion
+    const streamResult = await model.generateContentStream(buildContinuationPrompt(notes));
+
+    let pending = '';
+    let overlapChecked = false;
+    const flushPending = () => {
+        overlapChecked = true;
+        const text = removeContinuationOverlap(notes, pending);
+        if (text) onText(text);
+    };
+
+    for await (const chunk of streamResult.stream) {
+        const chunkText = chunk.text();
+        if (!chunkText) continue;
+
+        if (overlapChecked) {
+            onText(chunkText);
+        } else {
+            pending += chunkText;
+            if (pending.length >= CONTINUATION_OVERLAP_WINDOW) flushPending();
+        }
+    }
+    if (!overlapChecked && pending) flushPending();
+
+    const response = await streamResult.response;
+    return response.candidates?.[0]?.finishReason;
+};
+
+// ==================== MIND MAP HELPERS ====================
+
+// Root + 3 levels of branches; Gemini schemas can't be recursive, so depth is fixed
+const MINDMAP_MAX_DEPTH = 4;
+const MINDMAP_MAX_CHILDREN = 8;
+const MINDMAP_MAX_NODES = 80;
+const MINDMAP_MAX_LABEL = 80;
+
+// Helper: Schema for a mind map node with (depth - 1) levels of children below it
+const mindMapNodeSchema = (depth) => {
+    const node = {
+        type: SchemaType.OBJECT,
+        properties: { label: { type: SchemaType.STRING } },
+        required: ['label'],
+    };
+    if (depth > 1) {
+        node.properties.children = { type: SchemaType.ARRAY, items: mindMapNodeSchema(depth - 1) };
+    }
+    return node;
+};
+
+// Gemini response schema for output: 'mindmap'
+const mindMapSchema = mindMapNodeSchema(MINDMAP_MAX_DEPTH);
+
+const MINDMAP_INSTRUCTION = `
+
+OUTPUT FORMAT OVERRIDE:
+Ignore the markdown layout above and return a mind map as JSON matching the response schema:
+- The root label is the main topic
+- 3-7 main branches for the key themes, each with 2-6 sub-branches; go one level deeper only where it adds detail
+- Labels are short phrases (at most 6 words), not sentences; no bullet characters or numbering
+- Every concept appears once
+The length and language requirements still apply.`;
+
+// Helper: Clean a generated mind map node (trim, dedupe, cap depth/size)
+// counter tracks nodes kept so far across the tree; returns null for unusable nodes
+const cleanMindMapNode = (node, depth, counter) => {
+    const label = String(node?.label || '')
+        .replace(/^\s*(?:[•\-*]|\d+[.)])\s+/, '')
+        .replace(/\*\*/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, MINDMAP_MAX_LABEL);
+    if (!label || counter.count >= MINDMAP_MAX_NODES) return null;
+    counter.count++;
+
+    const children = [];
+    const seen = new Set();
+    if (depth < MINDMAP_MAX_DEPTH && Array.isArray(node.children)) {
+        for (const child of node.children) {
+            if (children.length >= MINDMAP_MAX_CHILDREN) break;
+            const cleaned = cleanMindMapNode(child, depth + 1, counter);
+            if (cleaned && !seen.has(cleaned.label.toLowerCase())) {
+                seen.add(cleaned.label.toLowerCase());
+                children.push(cleaned);
+            }
+        }
+    }
+    return { label, children };
+};
+
+// Helper: Validate a generated mind map; replaces data.root with the cleaned tree
+const validateMindMap = (data) => {
+    const root = cleanMindMapNode(data, 1, { count: 0 });
+    if (!root) return ['The root label is empty'];
+    if (root.children.length < 2) return ['The mind map needs at least 2 main branches under the root'];
+    data.root = root;
+    return [];
+};
+
+// Helper: Strip characters Mermaid reads as node shapes or syntax
+const toMermaidLabel = (label) => label.replace(/[()[\]{}<>"`]/g, ' ').replace(/\s+/g, ' ').trim() || '-';
+
+// Helper: Render a mind map tree as Mermaid "mindmap" source
+const renderMermaidMindMap = (root) => {
+    const lines = ['mindmap', `  root((${toMermaidLabel(root.label)}))`];
+    const walk = (node, depth) => {
+        node.children.forEach(child => {
+            lines.push(`${'  '.repeat(depth + 1)}${toMermaidLabel(child.label)}`);
+            walk(child, depth + 1);
+        });
+    };
+    walk(root, 1);
+    return lines.join('\n') + '\n';
+};
+
+// Helper: Render a mind map tree as an OPML 2.0 outline
+const renderOpml = (root) => {
+    const walk = (node, depth) => {
+        const indent = '    '.repeat(depth);
+        if (node.children.length === 0) {
+            return `${indent}<outline text="${escapeHtml(node.label)}"/>`;
+        }
+        return [
+            `${indent}<outline text="${escapeHtml(node.label)}">`,
+            ...node.children.map(child => walk(child, depth + 1)),
+            `${indent}</outline>`,
+        ].join('\n');
+    };
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+    <head>
+        <title>${escapeHtml(root.label)}</title>
+        <dateCreated>${new Date().toUTCString()}</dateCreated>
+    </head>
+    <body>
+${walk(root, 2)}
+    </body>
+</opml>
+`;
+};
+
+// Helper: Render a mind map tree as outline notes (title, sections, nested bullets)
+const mindMapToMarkdown = (root) => {
+    const bullets = (node, depth) => node.children.flatMap(child => [
+        `${'  '.repeat(depth)}• ${child.label}`,
+        ...bullets(child, depth + 1),
+    ]);
+    return [
+        `# ${root.label}`,
+        ...root.children.map(branch => [`## ${branch.label}`, ...bullets(branch, 0)].join('\n')),
+    ].join('\n\n');
+};
+
+// Helper: Generate a mind map (output: 'mindmap')
+// Returns { mindmap: { label, children: [...] }, mermaid, opml, notes }
+const generateMindMap = async (notesRequest) => {
+    const parts = Array.isArray(notesRequest.parts)
+        ? [notesRequest.parts[0] + MINDMAP_INSTRUCTION, ...notesRequest.parts.slice(1)]
+        : notesRequest.parts + MINDMAP_INSTRUCTION;
+
+    let data;
+    try {
+        data = await generateJson(parts, mindMapSchema, validateMindMap, { maxTokens: 4096 });
+    } catch (error) {
+        throw notesRequest.mapGenerationError && !error.status ? notesRequest.mapGenerationError(error) : error;
+    }
+
+    return {
+        mindmap: data.root,
+        mermaid: renderMermaidMindMap(data.root),
+        opml: renderOpml(data.root),
+        notes: mindMapToMarkdown(data.root),
+    };
+};
+
+// ==================== STRUCTURED NOTES HELPERS ====================
+
+// Gemini response schema for output: 'json'
+const structuredNotesSchema = {
+    type: SchemaType.OBJECT,
+    properties: {
+        title: { type: SchemaType.STRING },
+        summary: { type: SchemaType.STRING },
+        sections: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    heading: { type: SchemaType.STRING },
+                    bullets: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+                },
+                required: ['heading', 'bullets'],
+            },
+        },
+        keyTakeaways: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+        actionItems: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+    },
+    required: ['title', 'summary', 'sections', 'keyTakeaways', 'actionItems'],
+};
+
+const STRUCTURED_NOTES_INSTRUCTION = `
+
+OUTPUT FORMAT OVERRIDE:
+Ignore the markdown layout above and return JSON matching the response schema:
+- title: a short title for the notes
+- summary: a 1-3 sentence overview
+- sections: the notes' sections in order, each with a heading and its bullet points
+  (plain sentences without bullet characters; **bold** is allowed for key terms)
+- keyTakeaways: the 3-5 most important points
+- actionItems: tasks or next steps stated or clearly implied in the source (empty array if none)
+The length, tone, format and language requirements still apply to the text inside these fields.`;
+
+// Helper: Clean a list of strings in place, dropping blanks and stray bullet characters
+const cleanStringList = (list) => {
+    return (Array.isArray(list) ? list : [])
+        .map(item => String(item ?? '').replace(/^\s*(?:[•\-*]|\d+[.)])\s+/, '').trim())
+        .filter(Boolean);
+};
+
+// Helper: Check (and tidy) structured notes returned by the model
+const validateStructuredNotes = (data) => {
+    const problems = [];
+
+    data.title = String(data.title || '').trim();
+    data.summary = String(data.summary || '').trim();
+    data.sections = (Array.isArray(data.sections) ? data.sections : [])
+        .map(section => ({ heading: String(section?.heading || '').trim(), bullets: cleanStringList(section?.bullets) }))
+        .filter(section => section.heading && section.bullets.length > 0);
+    data.keyTakeaways = cleanStringList(data.keyTakeaways);
+    data.actionItems = cleanStringList(data.actionItems);
+
+    if (!data.title) problems.push('title is empty');
+    if (!data.summary) problems.push('summary is empty');
+    if (data.sections.length === 0) problems.push('sections must contain at least one section with a heading and bullets');
+    if (data.keyTakeaways.length === 0) problems.push('keyTakeaways must contain at least one point');
+    return problems;
+};
+
+// Helper: Render structured notes as the usual markdown notes string
+const structuredNotesToMarkdown = ({ title, summary, sections, keyTakeaways, actionItems }) => {
+    const blocks = [`# ${title}`, summary];
+    sections.forEach(section => {
+        blocks.push(`## ${section.heading}\n${section.bullets.map(bullet => `• ${bullet}`).join('\n')}`);
+    });
+    blocks.push(`## 📌 Key Takeaways\n${keyTakeaways.map(point => `• ${point}`).join('\n')}`);
+    if (actionItems.length > 0) {
+        blocks.push(`## ✅ Action Items\n${actionItems.map(item => `• ${item}`).join('\n')}`);
+    }
+    return blocks.join('\n\n');
+};
+
+// Helper: Generate notes in JSON mode (output: 'json')
+// Returns { structured: { title, summary, sections, keyTakeaways, actionItems }, notes }
+const generateStructuredNotes = async (notesRequest) => {
+    const parts = Array.isArray(notesRequest.parts)
+        ? [notesRequest.parts[0] + STRUCTURED_NOTES_INSTRUCTION, ...notesRequest.parts.slice(1)]
+        : notesRequest.parts + STRUCTURED_NOTES_INSTRUCTION;
+
+    let structured;
+    try {
+        // JSON keys and quoting need headroom beyond the markdown budget
+        structured = await generateJson(parts, structuredNotesSchema, validateStructuredNotes, {
+            maxTokens: Math.round(notesRequest.maxTokens * 1.5),
+        });
+    } catch (error) {
+        throw notesRequest.mapGenerationError && !error.status ? notesRequest.mapGenerationError(error) : error;
+    }
+
+    return { structured, notes: structuredNotesToMarkdown(structured) };
+};
+
+// Helper: Apply type-specific post-processing, extract action items if asked (extractActionItems: true)
+// and save the notes when the client sends its recovery code
+const finalizeNotes = async (body, notesRequest, notes) => {
+    if (notesRequest.postProcess) {
+        notes = await notesRequest.postProcess(notes);
+    }
+
+    // Action items are optional extras; a failed extraction doesn't fail the notes.
+    // They get their own key so they don't replace the structured output's actionItems strings.
+    if (body.extractActionItems) {
+        try {
+            notesRequest.extras.extractedActionItems = await extractActionItems(notes, resolveReferenceDate(body.referenceDate, body.timezone));
+        } catch (error) {
+            console.log('Action item extraction failed:', error.message);
+            notesRequest.extras.extractedActionItems = null;
+        }
+    }
+
+    // Keep generated notes server-side when the client sends its recovery code
+    if (body.code) {
+        const savedNote = await saveGeneratedNote(body, notes);
+        notesRequest.extras.noteId = savedNote ? savedNote._id : null;
+    }
+    return notes;
+};
+
+// ==================== NOTES ENDPOINT ====================
+app.post('/api/notes', async (req, res) => {
+    try {
+        const notesRequest = await buildNotesRequest(req.body);
+
+        // Structured output: { title, summary, sections, keyTakeaways, actionItems } plus the markdown notes
+        if (req.body.output === 'json') {
+            const { structured, notes } = await generateStructuredNotes(notesRequest);
+            const finalNotes = await finalizeNotes(req.body, notesRequest, notes);
+            return res.json({ ...structured, notes: finalNotes, ...notesRequest.extras });
+        }
+
+        // Mind map: concept tree plus Mermaid and OPML renderings, and an outline as notes
+        if (req.body.output === 'mindmap') {
+            const { notes, ...mindMap } = await generateMindMap(notesRequest);
+            const finalNotes = await finalizeNotes(req.body, notesRequest, notes);
+            return res.json({ ...mindMap, notes: finalNotes, ...notesRequest.extras });
+        }
+
+        let result;
+        try {
+            const model = getModel(notesRequest.maxTokens);
+            result = await generateWithRetry(model, notesRequest.parts);
+        } catch (error) {
+            throw notesRequest.mapGenerationError ? notesRequest.mapGenerationError(error) : error;
+        }
+
+        let notes = result.response.text();
+
+        // Check if response was truncated (cut off mid-sentence)
+        const finishReason = result.response.candidates?.[0]?.finishReason;
 
+        // Smart continuation: If truncated, ask AI to complete
+        if (finishReason === 'MAX_TOKENS') {
+            try {
                 const continuationModel = getModel(1500); // Extra tokens for completion
-                const continuationResult = await generateWithRetry(continuationModel, continuationPrompt);
+                const continuationResult = await generateWithRetry(continuationModel, buildContinuationPrompt(notes));
                 const continuation = continuationResult.response.text();
 
                 // Combine: Remove potential overlap and merge
-                notes = notes.trim() + '\n' + continuation.trim();
+                notes = notes.trim() + '\n' + removeContinuationOverlap(notes, continuation).trim();
             } catch (contError) {
                 console.log('Continuation failed, using original:', contError.message);
                 // If continuation fails, just clean up the truncation
@@ -681,20 +2111,29 @@ Continue the notes now, picking up exactly where it stopped:`;
             }
         }
 
-        res.json({ notes });
+        notes = await finalizeNotes(req.body, notesRequest, notes);
+
+        res.json({ notes, ...notesRequest.extras });
 
     } catch (error) {
         console.error('Notes generation error:', error);
-        res.status(500).json({ error: 'Failed to generate notes', details: error.message });
+        sendRequestError(res, error, 'Failed to generate notes');
     }
 });
+
 // ==================== STREAMING NOTES ENDPOINT ====================
 app.post('/api/notes/stream', async (req, res) => {
-    try {
-        const { type, content, noteLength = 'standard', format = 'bullet', tone = 'professional', language = 'english' } = req.body;
+    const sendEvent = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
 
-        if (!content) {
-            return res.status(400).json({ error: 'Content is required' });
+    // Streaming has always defaulted to text notes when no type is given
+    const body = { ...req.body, type: req.body.type || 'text' };
+
+    try {
+        // Validate before switching to SSE so errors are plain JSON
+        try {
+            validateNotesRequest(body);
+        } catch (error) {
+            return sendRequestError(res, error, 'Failed to generate notes');
         }
 
         // Set SSE headers
@@ -704,47 +2143,69 @@ app.post('/api/notes/stream', async (req, res) => {
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.flushHeaders();
 
-        const lengthConfig = lengthGuides[noteLength] || lengthGuides.standard;
-        const lengthInstruction = lengthConfig.instruction;
-        const maxTokens = lengthConfig.maxTokens;
-
-        const formatInstruction = formatGuides[format] || formatGuides.bullet;
-        const toneInstruction = toneGuides[tone] || toneGuides.professional;
-
-        const languageInstruction = language && language.toLowerCase() !== 'english'
-            ? `IMPORTANT: Generate ALL content in ${language}.`
-            : 'Keep the output in English.';
-
-        let prompt = `You are an expert note-taking assistant. Transform the following content into perfectly organized, professional notes.
-
-INPUT CONTENT:
-"""
-${content}
-"""
+        // Progress events let the client show what's happening before tokens arrive
+        const notesRequest = await buildNotesRequest(body, (stage, message) => {
+            sendEvent({ progress: stage, message });
+        });
+        sendEvent({ progress: 'generating', message: 'Writing notes...' });
+
+        // Structured and mind map output can't be shown token by token; they arrive as one result event
+        if (body.output === 'json' || body.output === 'mindmap') {
+            let generated;
+            if (body.output === 'json') {
+                const { structured, notes } = await generateStructuredNotes(notesRequest);
+                generated = { ...structured, notes };
+            } else {
+                generated = await generateMindMap(notesRequest);
+            }
+            const { notes, ...fields } = generated;
+            const finalNotes = await finalizeNotes(body, notesRequest, notes);
+            sendEvent({ result: { ...fields, notes: finalNotes, ...notesRequest.extras } });
+            res.write('data: [DONE]\n\n');
+            return res.end();
+        }
 
-LENGTH REQUIREMENT: ${lengthInstruction}
-FORMAT REQUIREMENT: ${formatInstruction}
-TONE REQUIREMENT: ${toneInstruction}
-LANGUAGE REQUIREMENT: ${languageInstruction}
+        let notes = '';
+        let finishReason;
+        try {
+            const model = getStreamingModel(notesRequest.maxTokens);
+            const streamResult = await model.generateContentStream(notesRequest.parts);
+
+            // Stream each chunk as SSE
+            for await (const chunk of streamResult.stream) {
+                const chunkText = chunk.text();
+                if (chunkText) {
+                    notes += chunkText;
+                    sendEvent({ text: chunkText });
+                }
+            }
 
-INSTRUCTIONS:
-1. Create a clear, hierarchical structure with sections
-2. Extract key information according to the length requirement
-3. Use bullet points (•) for lists
-4. Bold important terms with **asterisks**
-5. Add a "📌 Key Takeaways" section at the end
+            // Check if response was truncated (cut off mid-sentence)
+            const response = await streamResult.response;
+            finishReason = response.candidates?.[0]?.finishReason;
+        } catch (error) {
+            throw notesRequest.mapGenerationError ? notesRequest.mapGenerationError(error) : error;
+        }
 
-Generate the notes now:`;
+        // Smart continuation: keep streaming in the same connection while the output is cut off
+        for (let attempt = 0; finishReason === 'MAX_TOKENS' && attempt < MAX_STREAM_CONTINUATIONS; attempt++) {
+            sendEvent({ progress: 'continuing', message: 'Continuing notes...' });
+            try {
+                finishReason = await streamContinuation(notes, (text) => {
+                    notes += text;
+                    sendEvent({ text });
+                });
+            } catch (contError) {
+                console.log('Stream continuation failed, ending with what was sent:', contError.message);
+                break;
+            }
+        }
 
-        const model = getStreamingModel(maxTokens);
-        const streamResult = await model.generateContentStream(prompt);
+        notes = await finalizeNotes(body, notesRequest, notes);
 
-        // Stream each chunk as SSE
-        for await (const chunk of streamResult.stream) {
-            const chunkText = chunk.text();
-            if (chunkText) {
-                res.write(`data: ${JSON.stringify({ text: chunkText })}\n\n`);
-            }
+        // Final notes (e.g. with YouTube deep links) and type-specific fields
+        if (notesRequest.postProcess || Object.keys(notesRequest.extras).length > 0) {
+            sendEvent({ result: { notes, ...notesRequest.extras } });
         }
 
         // Signal completion
@@ -753,7 +2214,7 @@ Generate the notes now:`;
 
     } catch (error) {
         console.error('Streaming notes error:', error);
-        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+        sendEvent({ error: error.message, code: error.code, details: error.details });
         res.end();
     }
 });
@@ -894,6 +2355,9 @@ app.post('/api/followup', async (req, res) => {
         if (!context || !question) {
             return res.status(400).json({ error: 'Context and question are required' });
         }
+        if (req.body.selection !== undefined && !isNoteSelection(req.body.selection)) {
+            return res.status(400).json({ error: 'Selection must be { start, end } character offsets' });
+        }
 
         let prompt;
         if (type === 'reply') {
@@ -948,7 +2412,10 @@ Generate the follow-up response now:`;
         const result = await generateWithRetry(model, prompt);
         const response = result.response.text();
 
-        res.json({ response });
+        // A refined reply replaces the original, so keep it as a new version of the saved note
+        const noteVersion = type === 'reply' ? await applyNoteChange(req.body, context, response, 'followup') : {};
+
+        res.json({ response, ...noteVersion });
 
     } catch (error) {
         console.error('Follow-up generation error:', error);
@@ -1003,6 +2470,9 @@ app.post('/api/translate', async (req, res) => {
         if (!text || !targetLanguage) {
             return res.status(400).json({ error: 'Text and target language are required' });
         }
+        if (req.body.selection !== undefined && !isNoteSelection(req.body.selection)) {
+            return res.status(400).json({ error: 'Selection must be { start, end } character offsets' });
+        }
 
         const prompt = `Translate the following text to ${targetLanguage}.
         
@@ -1016,7 +2486,10 @@ RULES:
 
         const model = getModel();
         const result = await generateWithRetry(model, prompt);
-        res.json({ translatedText: result.response.text() });
+        const translatedText = result.response.text();
+
+        const noteVersion = await applyNoteChange(req.body, text, translatedText, 'translate');
+        res.json({ translatedText, ...noteVersion });
 
     } catch (error) {
         console.error('Translate error:', error);
@@ -1029,6 +2502,9 @@ app.post('/api/polish', async (req, res) => {
     try {
         const { text, mode } = req.body;
         if (!text) return res.status(400).json({ error: 'Text is required' });
+        if (req.body.selection !== undefined && !isNoteSelection(req.body.selection)) {
+            return res.status(400).json({ error: 'Selection must be { start, end } character offsets' });
+        }
 
         const prompt = `Rewrite this text in a ${mode || 'professional'} style.
         
@@ -1043,7 +2519,10 @@ RULES:
 
         const model = getModel();
         const result = await generateWithRetry(model, prompt);
-        res.json({ polishedText: result.response.text() });
+        const polishedText = result.response.text();
+
+        const noteVersion = await applyNoteChange(req.body, text, polishedText, 'polish');
+        res.json({ polishedText, ...noteVersion });
 
     } catch (error) {
         console.error('Polish error:', error);
@@ -1226,227 +2705,1754 @@ app.post('/api/credits/use', async (req, res) => {
             user.credits -= remaining;
         }
 
-        user.lastActive = new Date();
-        await user.save();
+        user.lastActive = new Date();
+        await user.save();
+
+        res.json({
+            success: true,
+            creditsUsed: amount,
+            remainingCredits: user.credits,
+            remainingAdCredits: user.adCredits || 0,
+            remainingFreeCredits: user.freeCreditsRemaining,
+            totalAvailable: user.credits + (user.adCredits || 0) + user.freeCreditsRemaining,
+        });
+    } catch (error) {
+        console.error('Use credits error:', error);
+        res.status(500).json({ error: 'Failed to use credits', details: error.message });
+    }
+});
+
+// ==================== AD REWARD ENDPOINTS ====================
+
+// ==================== APP CONFIG & ADS ====================
+
+// Get Master App Config (Banners, Ads, Alerts)
+app.get('/api/config', async (req, res) => {
+    try {
+        const config = await getAppConfig();
+        res.json(config);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch config' });
+    }
+});
+
+// Legacy Endpoint Support (Redirect to new logic if needed, or keep for older app versions)
+app.get('/api/config/ad-offer', async (req, res) => {
+    const config = await getAppConfig();
+    res.json({
+        STANDARD_REWARD: config.adRewards.standardReward,
+        SPECIAL_OFFER_ACTIVE: config.adRewards.specialOfferActive,
+        SPECIAL_REWARD: config.adRewards.specialReward,
+        SPECIAL_MESSAGE: config.adRewards.specialMessage,
+    });
+});
+
+// Claim Watch Ad Reward (1 per day)
+app.post('/api/credits/claim-ad-reward', async (req, res) => {
+    try {
+        const { code } = req.body;
+        if (!code) return res.status(400).json({ error: 'Recovery code is required' });
+
+        const user = await User.findOne({ recoveryCode: code.toUpperCase() });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        // Check if already claimed today
+        const now = new Date();
+        const lastClaim = user.lastAdRewardDate ? new Date(user.lastAdRewardDate) : null;
+
+        if (lastClaim && lastClaim.toDateString() === now.toDateString()) {
+            return res.json({
+                success: false,
+                message: 'You have already claimed your daily ad reward!',
+                alreadyClaimed: true,
+                nextClaimTime: 'tomorrow'
+            });
+        }
+
+        // Fetch Dynamic Config
+        const config = await getAppConfig();
+        const { adRewards } = config;
+
+        // Determine Amount
+        const rewardAmount = adRewards.specialOfferActive
+            ? adRewards.specialReward
+            : adRewards.standardReward;
+
+        // Apply Reward (to Ad Credits bucket)
+        if (!user.adCredits) user.adCredits = 0;
+        user.adCredits += rewardAmount;
+        user.lastAdRewardDate = now;
+
+        // Log transaction
+        user.processedTransactions.push({
+            transactionId: `ad_reward_${Date.now()}`,
+            credits: rewardAmount,
+            processedAt: now,
+        });
+
+        await user.save();
+
+        res.json({
+            success: true,
+            creditsAdded: rewardAmount,
+            newBalance: user.adCredits,
+            totalAvailable: user.credits + user.adCredits + user.freeCreditsRemaining,
+            message: adRewards.specialOfferActive
+                ? `Special Offer! You earned ${rewardAmount} credits!`
+                : `You earned ${rewardAmount} credit! Come back tomorrow for more.`
+        });
+
+    } catch (error) {
+        console.error('Ad reward claim error:', error);
+        res.status(500).json({ error: 'Failed to claim reward', details: error.message });
+    }
+});
+
+const rateLimit = require('express-rate-limit');
+
+// Rate limiter for recovery attempts (5 per hour)
+// Prevents brute-force guessing of recovery codes
+const recoverLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // Limit each IP to 5 requests per windowMs
+    message: {
+        error: 'Too many attempts',
+        message: 'Too many failed recovery attempts. Please try again in an hour.'
+    },
+    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
+    legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+});
+
+// Recover - Switch to account with recovery code
+// Optimizes DB by deleting the OLD current account if it has 0 credits and no history
+// Protected by rate limiter
+app.post('/api/credits/recover', recoverLimiter, async (req, res) => {
+    try {
+        const { code, currentCode } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ error: 'Recovery code is required' });
+        }
+
+        const targetCode = code.toUpperCase();
+        const currentRecoveryCode = currentCode?.toUpperCase();
+
+        // 1. Find the target account to switch TO
+        const targetAccount = await User.findOne({ recoveryCode: targetCode });
+
+        if (!targetAccount) {
+            return res.status(404).json({
+                error: 'Invalid recovery code',
+                message: 'No account found with this recovery code. Please check and try again.',
+            });
+        }
+
+        // 2. If same code as current, just return info
+        if (currentRecoveryCode && targetCode === currentRecoveryCode) {
+            const config = await getAppConfig();
+            targetAccount.resetDailyCreditsIfNeeded(config.freeDailyCredits);
+            targetAccount.lastActive = new Date();
+            await targetAccount.save();
+
+            return res.json({
+                success: true,
+                recoveryCode: targetAccount.recoveryCode,
+                credits: targetAccount.credits,
+                adCredits: targetAccount.adCredits || 0,
+                freeCreditsRemaining: targetAccount.freeCreditsRemaining,
+                totalAvailable: targetAccount.credits + (targetAccount.adCredits || 0) + targetAccount.freeCreditsRemaining,
+                message: 'Already using this account!',
+            });
+        }
+
+        // 3. AUTO-CLEANUP: Check if we should delete the current account before switching
+        if (currentRecoveryCode && targetCode !== currentRecoveryCode) {
+            const currentAccount = await User.findOne({ recoveryCode: currentRecoveryCode });
+
+            // Delete if exists AND has 0 purchased credits AND no transaction history AND no saved notes
+            const hasSavedNotes = currentAccount && await Note.exists({ recoveryCode: currentRecoveryCode });
+            if (currentAccount &&
+                currentAccount.credits === 0 &&
+                (!currentAccount.processedTransactions || currentAccount.processedTransactions.length === 0) &&
+                !hasSavedNotes) {
+
+                await User.deleteOne({ recoveryCode: currentRecoveryCode });
+                console.log(`🧹 Deleted empty account ${currentRecoveryCode} while switching to ${targetCode}`);
+            }
+        }
+
+        // 4. Switch to target account
+        // Log the switch event if we are switching from another account
+        if (currentRecoveryCode && targetCode !== currentRecoveryCode) {
+            targetAccount.switchHistory.push({
+                fromCode: currentRecoveryCode,
+                timestamp: new Date(),
+                description: `Switched from ${currentRecoveryCode} to ${targetCode}`
+            });
+        }
+
+        const config = await getAppConfig();
+        targetAccount.resetDailyCreditsIfNeeded(config.freeDailyCredits);
+        targetAccount.lastActive = new Date();
+        await targetAccount.save();
+
+        res.json({
+            success: true,
+            recoveryCode: targetAccount.recoveryCode,
+            credits: targetAccount.credits,
+            adCredits: targetAccount.adCredits || 0,
+            freeCreditsRemaining: targetAccount.freeCreditsRemaining,
+            totalAvailable: targetAccount.credits + (targetAccount.adCredits || 0) + targetAccount.freeCreditsRemaining,
+            message: 'Account recovered successfully!',
+        });
+    } catch (error) {
+        console.error('Recover error:', error);
+        res.status(500).json({ error: 'Failed to recover account', details: error.message });
+    }
+});
+
+// Get processed transactions (for debugging/support)
+app.get('/api/credits/transactions/:code', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const user = await User.findOne({ recoveryCode: code.toUpperCase() });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            transactions: user.processedTransactions,
+        });
+    } catch (error) {
+        console.error('Transactions error:', error);
+        res.status(500).json({ error: 'Failed to get transactions', details: error.message });
+    }
+});
+
+// ==================== SAVED NOTES ENDPOINTS ====================
+
+const NOTE_SOURCE_TYPES = ['text', 'image', 'voice', 'pdf', 'website', 'youtube', 'combined', 'reply'];
+
+// Helper: Pick the editable note fields from a request body
+const pickNoteFields = ({ title, content, sourceType, sourceUrl, settings }) => {
+    const fields = {};
+    if (typeof content === 'string') fields.content = content;
+    if (typeof title === 'string' && title.trim()) fields.title = title.trim().substring(0, 200);
+    if (NOTE_SOURCE_TYPES.includes(sourceType)) fields.sourceType = sourceType;
+    if (sourceUrl !== undefined) fields.sourceUrl = sourceUrl || null;
+    if (settings && typeof settings === 'object') {
+        for (const key of ['noteLength', 'format', 'tone', 'language']) {
+            if (typeof settings[key] === 'string') fields[`settings.${key}`] = settings[key];
+        }
+    }
+    return fields;
+};
+
+// Save a note
+app.post('/api/saved-notes', async (req, res) => {
+    try {
+        const { code, content } = req.body;
+
+        if (!code || !content) {
+            return res.status(400).json({ error: 'Code and content are required' });
+        }
+
+        const user = await User.findOne({ recoveryCode: code.toUpperCase() });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const fields = pickNoteFields(req.body);
+        const note = new Note({
+            title: Note.extractTitle(content),
+            ...fields,
+            recoveryCode: user.recoveryCode,
+        });
+        note.versions.push({ version: 1, title: note.title, content: note.content, source: 'created' });
+        await note.save();
+        indexNoteEmbedding(note);
+
+        res.json({ success: true, note });
+    } catch (error) {
+        console.error('Save note error:', error);
+        res.status(500).json({ error: 'Failed to save note', details: error.message });
+    }
+});
+
+// List notes for an account (newest first, without full content)
+app.get('/api/saved-notes/:code', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+        const user = await User.findOne({ recoveryCode: code.toUpperCase() });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const query = { recoveryCode: user.recoveryCode };
+        if (NOTE_SOURCE_TYPES.includes(req.query.sourceType)) {
+            query.sourceType = req.query.sourceType;
+        }
+
+        const [notes, total] = await Promise.all([
+            Note.find(query).sort({ updatedAt: -1 }).skip(skip).limit(limit).lean(),
+            Note.countDocuments(query),
+        ]);
+
+        res.json({
+            success: true,
+            total,
+            notes: notes.map(({ content, ...note }) => ({
+                ...note,
+                preview: content.substring(0, 200),
+            })),
+        });
+    } catch (error) {
+        console.error('List notes error:', error);
+        res.status(500).json({ error: 'Failed to list notes', details: error.message });
+    }
+});
+
+// Helper: Compute and store a note's embedding for semantic search
+// Runs in the background after saves; failures only mean the note is keyword-searchable
+const indexNoteEmbedding = async (note) => {
+    try {
+        const provider = getEmbeddingProvider();
+        const embedding = await provider.embed(`${note.title}\n\n${note.content}`.substring(0, 8000), 'RETRIEVAL_DOCUMENT');
+        await Note.updateOne({ _id: note._id }, { embedding, embeddingModel: provider.name });
+    } catch (error) {
+        console.error(`Embedding failed for note ${note._id}:`, error.message);
+    }
+};
+
+// Helper: Save notes generated by /api/notes or /api/notes/stream when the request has a code
+// Returns the saved note, or null if the account doesn't exist or saving failed
+const saveGeneratedNote = async (body, notes) => {
+    try {
+        const user = await User.findOne({ recoveryCode: body.code.toUpperCase() });
+        if (!user) return null;
+
+        const { type, content, noteLength = 'standard', format = 'bullet', tone = 'professional', language = 'english' } = body;
+        const note = new Note({
+            recoveryCode: user.recoveryCode,
+            title: Note.extractTitle(notes),
+            content: notes,
+            sourceType: NOTE_SOURCE_TYPES.includes(type) ? type : 'text',
+            sourceUrl: ['website', 'youtube'].includes(type) ? content : null,
+            settings: { noteLength, format, tone, language },
+        });
+        note.versions.push({ version: 1, title: note.title, content: note.content, source: 'generated' });
+        await note.save();
+
+        indexNoteEmbedding(note); // Background, don't hold up the response
+        return note;
+    } catch (error) {
+        console.error('Save generated note error:', error.message);
+        return null;
+    }
+};
+
+// Helper: Keyword search with the Mongo text index. Returns [{ note, score }]
+const searchNotesByKeyword = async (recoveryCode, query, limit) => {
+    const notes = await Note.find(
+        { recoveryCode, $text: { $search: query } },
+        { score: { $meta: 'textScore' } }
+    ).sort({ score: { $meta: 'textScore' } }).limit(limit).lean();
+
+    return notes.map(({ score, ...note }) => ({ note, score }));
+};
+
+// Accounts with an embedding backfill in progress (one backfill per account at a time)
+const embeddingBackfills = new Set();
+
+// Helper: Index up to 20 notes saved before indexing (or with another provider), one at a time
+// Runs in the background; a search while a backfill is running for the account doesn't start another.
+const backfillNoteEmbeddings = async (recoveryCode, provider) => {
+    if (embeddingBackfills.has(recoveryCode)) return;
+    embeddingBackfills.add(recoveryCode);
+    try {
+        const unindexed = await Note.find({ recoveryCode, embeddingModel: { $ne: provider.name } }).limit(20);
+        for (const note of unindexed) {
+            await indexNoteEmbedding(note);
+        }
+    } catch (error) {
+        console.error('Embedding backfill error:', error.message);
+    } finally {
+        embeddingBackfills.delete(recoveryCode);
+    }
+};
+
+// Helper: Semantic search by embedding similarity. Returns [{ note, score }]
+const searchNotesBySimilarity = async (recoveryCode, query, limit) => {
+    const provider = getEmbeddingProvider();
+    const queryEmbedding = await provider.embed(query, 'RETRIEVAL_QUERY');
+
+    // Unindexed notes are indexed for next time
+    backfillNoteEmbeddings(recoveryCode, provider);
+
+    const notes = await Note.find({ recoveryCode, embeddingModel: provider.name }).select('+embedding').lean();
+    return notes
+        .map(({ embedding, ...note }) => ({ note, score: cosineSimilarity(queryEmbedding, embedding) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+// Helper: Search an account's notes. mode is 'keyword', 'semantic' or 'hybrid'
+// Hybrid merges both rankings with reciprocal rank fusion.
+// Returns [{ note, score, matchedBy, snippet, highlights }] without note content
+const searchNotes = async (recoveryCode, query, { mode = 'hybrid', limit = 10 } = {}) => {
+    const rankings = {};
+    let keywordFailed = false;
+
+    if (mode !== 'semantic') {
+        try {
+            rankings.keyword = await searchNotesByKeyword(recoveryCode, query, limit * 2);
+        } catch (error) {
+            if (mode === 'keyword') throw error;
+            keywordFailed = true;
+            console.error('Keyword search failed, using semantic results only:', error.message);
+        }
+    }
+    if (mode !== 'keyword') {
+        try {
+            rankings.semantic = await searchNotesBySimilarity(recoveryCode, query, limit * 2);
+        } catch (error) {
+            // Hybrid only fails when neither search worked
+            if (mode === 'semantic' || keywordFailed) throw error;
+            console.error('Semantic search failed, using keyword results only:', error.message);
+        }
+    }
+
+    return mergeSearchRankings(rankings, query, { mode, limit });
+};
+
+// Search an account's notes
+app.get('/api/saved-notes/:code/search', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const query = (req.query.q || '').trim();
+        const mode = ['keyword', 'semantic', 'hybrid'].includes(req.query.mode) ? req.query.mode : 'hybrid';
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+
+        if (!query) {
+            return res.status(400).json({ error: 'Search query (q) is required' });
+        }
+
+        const user = await User.findOne({ recoveryCode: code.toUpperCase() });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const results = await searchNotes(user.recoveryCode, query, { mode, limit });
+
+        res.json({ success: true, query, mode, results });
+    } catch (error) {
+        console.error('Search notes error:', error);
+        res.status(500).json({ error: 'Failed to search notes', details: error.message });
+    }
+});
+
+// Helper: Is a note selection { start, end } a valid pair of character offsets?
+const isNoteSelection = (selection) => Boolean(selection) && typeof selection === 'object'
+    && Number.isInteger(selection.start) && Number.isInteger(selection.end)
+    && selection.start >= 0 && selection.start < selection.end;
+
+// Helper: Record an AI edit (polish, translate, follow-up) as a new version of a saved note
+// Does nothing unless the request names a note with code + noteId. The edited text
+// (originalText) must be the whole saved note, or the part of it at body.selection
+// ({ start, end } character offsets), which is then replaced by content.
+// Returns { noteId, version } for the response, { noteId, version: null, noteError } when the
+// text doesn't match the saved note, or {} when nothing was saved
+const applyNoteChange = async ({ code, noteId, selection }, originalText, content, source) => {
+    if (!code || !noteId || !mongoose.isValidObjectId(noteId)) return {};
+
+    try {
+        const note = await Note.findOne({ _id: noteId, recoveryCode: code.toUpperCase() }).select('+versions');
+        if (!note) return {};
+
+        let updated;
+        if (isNoteSelection(selection)) {
+            const selected = note.content.slice(selection.start, selection.end);
+            if (selected !== originalText) {
+                return { noteId: note._id, version: null, noteError: 'The selection no longer matches the saved note' };
+            }
+            // Keep the whitespace around the selection; the model tends to drop or add it
+            const [, leading, , trailing] = selected.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            updated = note.content.slice(0, selection.start) + leading + content.trim() + trailing + note.content.slice(selection.end);
+        } else if (note.content.trim() === originalText.trim()) {
+            updated = content;
+        } else {
+            return { noteId: note._id, version: null, noteError: 'Text is only part of the saved note; send selection: { start, end } to replace it' };
+        }
+
+        const version = note.addVersion(updated, source);
+        await note.save();
+        indexNoteEmbedding(note);
+
+        return { noteId: note._id, version };
+    } catch (error) {
+        console.error(`Note ${source} version error:`, error.message);
+        return {};
+    }
+};
+
+// Helper: Line-based diff (longest common subsequence)
+// Returns [{ type: 'equal' | 'added' | 'removed', lines: [...] }]
+const diffLines = (oldText, newText) => {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+
+    // Very large notes: skip the quadratic table and show a full replacement
+    if (a.length * b.length > 4000000) {
+        return [{ type: 'removed', lines: a }, { type: 'added', lines: b }];
+    }
+
+    // lengths[i][j] = LCS length of a[i:] and b[j:]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const hunks = [];
+    const push = (type, line) => {
+        const last = hunks[hunks.length - 1];
+        if (last && last.type === type) last.lines.push(line);
+        else hunks.push({ type, lines: [line] });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return hunks;
+};
+
+// List a note's versions (without content)
+app.get('/api/saved-notes/:code/:id/versions', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const note = await Note.findOne({ _id: id, recoveryCode: code.toUpperCase() }).select('+versions');
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        res.json({
+            success: true,
+            currentVersion: note.currentVersion,
+            versions: note.versions.map(({ version, title, source, restoredFrom, createdAt, content }) => ({
+                version,
+                title,
+                source,
+                restoredFrom,
+                createdAt,
+                length: content.length,
+            })),
+        });
+    } catch (error) {
+        console.error('List versions error:', error);
+        res.status(500).json({ error: 'Failed to list versions', details: error.message });
+    }
+});
+
+// Get one version of a note
+app.get('/api/saved-notes/:code/:id/versions/:version', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const note = await Note.findOne({ _id: id, recoveryCode: code.toUpperCase() }).select('+versions');
+        const version = note && note.getVersion(parseInt(req.params.version, 10));
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        res.json({ success: true, version });
+    } catch (error) {
+        console.error('Get version error:', error);
+        res.status(500).json({ error: 'Failed to get version', details: error.message });
+    }
+});
+
+// Diff two versions of a note (?from=1&to=3, "to" defaults to the current version)
+app.get('/api/saved-notes/:code/:id/diff', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const note = await Note.findOne({ _id: id, recoveryCode: code.toUpperCase() }).select('+versions');
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const fromNumber = parseInt(req.query.from, 10);
+        const toNumber = parseInt(req.query.to, 10) || note.currentVersion;
+        const from = note.getVersion(fromNumber);
+        const to = note.getVersion(toNumber);
+        if (!from || !to) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        const hunks = diffLines(from.content, to.content);
+        const countLines = (type) => hunks.filter(hunk => hunk.type === type).reduce((sum, hunk) => sum + hunk.lines.length, 0);
+
+        res.json({
+            success: true,
+            from: { version: from.version, source: from.source, createdAt: from.createdAt },
+            to: { version: to.version, source: to.source, createdAt: to.createdAt },
+            stats: { added: countLines('added'), removed: countLines('removed') },
+            hunks,
+        });
+    } catch (error) {
+        console.error('Diff versions error:', error);
+        res.status(500).json({ error: 'Failed to diff versions', details: error.message });
+    }
+});
+
+// Restore an earlier version (recorded as a new version, history is kept)
+app.post('/api/saved-notes/:code/:id/restore', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        const { version } = req.body;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const note = await Note.findOne({ _id: id, recoveryCode: code.toUpperCase() }).select('+versions');
+        const target = note && note.getVersion(parseInt(version, 10));
+        if (!target) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        const newVersion = note.addVersion(target.content, 'restore', { title: target.title, restoredFrom: target.version });
+        await note.save();
+        indexNoteEmbedding(note);
+
+        res.json({ success: true, note, version: newVersion, restoredFrom: target.version });
+    } catch (error) {
+        console.error('Restore version error:', error);
+        res.status(500).json({ error: 'Failed to restore version', details: error.message });
+    }
+});
+
+// Get one note
+app.get('/api/saved-notes/:code/:id', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const note = await Note.findOne({ _id: id, recoveryCode: code.toUpperCase() });
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        res.json({ success: true, note });
+    } catch (error) {
+        console.error('Get note error:', error);
+        res.status(500).json({ error: 'Failed to get note', details: error.message });
+    }
+});
+
+// Update a note
+app.put('/api/saved-notes/:code/:id', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const { content, ...fields } = pickNoteFields(req.body);
+        if (Object.keys(fields).length === 0 && content === undefined) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const note = await Note.findOne({ _id: id, recoveryCode: code.toUpperCase() }).select('+versions');
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        note.set(fields);
+        note.updatedAt = new Date();
+        // Content edits are recorded in the version history
+        if (content !== undefined && content !== note.content) {
+            note.addVersion(content, 'user_edit');
+        }
+        await note.save();
+
+        if (fields.title || content !== undefined) {
+            indexNoteEmbedding(note);
+        }
+
+        res.json({ success: true, note });
+    } catch (error) {
+        console.error('Update note error:', error);
+        res.status(500).json({ error: 'Failed to update note', details: error.message });
+    }
+});
+
+// Delete a note
+app.delete('/api/saved-notes/:code/:id', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const result = await Note.deleteOne({ _id: id, recoveryCode: code.toUpperCase() });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        res.json({ success: true, message: 'Note deleted' });
+    } catch (error) {
+        console.error('Delete note error:', error);
+        res.status(500).json({ error: 'Failed to delete note', details: error.message });
+    }
+});
+
+// ==================== ASK MY NOTES ENDPOINT ====================
+
+// Retrieval budget for answering questions over the note library
+const ASK_MAX_NOTES = 6;
+const ASK_CONTEXT_CHARS = 24000;
+
+// Helper: Split markdown notes into sections at headings ("# ...", "## ...", or a "**Bold**" line)
+// Returns [{ heading, text }]; text before the first heading gets the heading 'Introduction'
+const splitNoteSections = (content) => {
+    const sections = [];
+    let current = { heading: 'Introduction', lines: [] };
+
+    for (const line of content.split('\n')) {
+        const heading = line.match(/^\s*#{1,6}\s+(.+)$/) || line.match(/^\s*\*\*([^*]+)\*\*:?\s*$/);
+        if (heading) {
+            if (current.lines.some(l => l.trim())) sections.push(current);
+            current = { heading: heading[1].replace(/[*#]/g, '').trim(), lines: [] };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    if (current.lines.some(l => l.trim())) sections.push(current);
+
+    return sections.map(section => ({ heading: section.heading, text: section.lines.join('\n').trim() }));
+};
+
+// Helper: Pick the most relevant sections of the retrieved notes within the context budget
+// Notes keep their retrieval order; inside the budget, sections that mention query terms come first.
+// Returns [{ ref, note, sections: [{ index, heading, text }] }] where ref is "N1", "N2", ...
+const buildAskContext = (notes, question) => {
+    const terms = getSearchTerms(question);
+    const relevance = (text) => terms.reduce((count, term) => count + (text.toLowerCase().includes(term) ? 1 : 0), 0);
+
+    const candidates = [];
+    notes.forEach((note, noteIndex) => {
+        splitNoteSections(note.content).forEach((section, sectionIndex) => {
+            candidates.push({
+                noteIndex,
+                sectionIndex,
+                section,
+                // Earlier notes ranked higher in retrieval, so they break ties
+                score: relevance(`${section.heading} ${section.text}`) * 10 - noteIndex,
+            });
+        });
+    });
+
+    let budget = ASK_CONTEXT_CHARS;
+    const chosen = candidates
+        .sort((a, b) => b.score - a.score)
+        .filter(candidate => {
+            const size = candidate.section.text.length + candidate.section.heading.length;
+            if (size > budget) return false;
+            budget -= size;
+            return true;
+        });
+
+    return notes
+        .map((note, noteIndex) => ({
+            ref: `N${noteIndex + 1}`,
+            note,
+            sections: chosen
+                .filter(candidate => candidate.noteIndex === noteIndex)
+                .sort((a, b) => a.sectionIndex - b.sectionIndex)
+                .map(({ sectionIndex, section }) => ({ index: sectionIndex + 1, ...section })),
+        }))
+        .filter(entry => entry.sections.length > 0);
+};
+
+// Helper: Replace [N1§2] citation markers with numbered references
+// Returns { answer, citations: [{ ref, noteId, noteTitle, section, sectionIndex }] }
+const resolveAskCitations = (answerText, context) => {
+    const citations = [];
+    const answer = answerText.replace(/\[(N\d+)\s*§\s*(\d+)\]/g, (match, noteRef, sectionNumber) => {
+        const entry = context.find(item => item.ref === noteRef);
+        const section = entry?.sections.find(item => item.index === parseInt(sectionNumber, 10));
+        if (!section) return ''; // Citation to something we never showed the model
+
+        let citation = citations.find(item => item.noteId.toString() === entry.note._id.toString() && item.sectionIndex === section.index);
+        if (!citation) {
+            citation = {
+                ref: citations.length + 1,
+                noteId: entry.note._id,
+                noteTitle: entry.note.title,
+                section: section.heading,
+                sectionIndex: section.index,
+            };
+            citations.push(citation);
+        }
+        return `[${citation.ref}]`;
+    });
+
+    return { answer: answer.replace(/[ \t]+([.,;:!?])/g, '$1').trim(), citations };
+};
+
+// Ask a question about all of an account's saved notes
+app.post('/api/saved-notes/:code/ask', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const { question, language = 'English' } = req.body;
+
+        if (!question) {
+            return res.status(400).json({ error: 'Question is required' });
+        }
+
+        const user = await User.findOne({ recoveryCode: code.toUpperCase() });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // 1. Retrieve the most relevant notes
+        const matches = await searchNotes(user.recoveryCode, question, { mode: 'hybrid', limit: ASK_MAX_NOTES });
+        const notes = await Note.find({ _id: { $in: matches.map(match => match.note._id) } }).lean();
+        const rankedNotes = matches
+            .map(match => notes.find(note => note._id.toString() === match.note._id.toString()))
+            .filter(Boolean);
+
+        const context = buildAskContext(rankedNotes, question);
+        if (context.length === 0) {
+            return res.json({
+                success: true,
+                answer: 'I couldn\'t find anything about this in your saved notes.',
+                citations: [],
+            });
+        }
+
+        // 2. Answer from the retrieved sections only
+        const contextText = context.map(({ ref, note, sections }) => `=== NOTE ${ref}: "${note.title}" (created ${note.createdAt.toISOString().slice(0, 10)}, source: ${note.sourceType}) ===
+${sections.map(section => `[${ref}§${section.index}] ${section.heading}\n${section.text}`).join('\n\n')}`).join('\n\n');
+
+        const prompt = `You are a study assistant answering questions about the user's own saved notes.
+
+TODAY'S DATE: ${new Date().toISOString().slice(0, 10)}
+
+USER'S NOTES (each section is labelled [N#§#]):
+"""
+${contextText}
+"""
+
+QUESTION:
+"""
+${question}
+"""
+
+INSTRUCTIONS:
+1. Answer ONLY from the notes above. If they don't contain the answer, say so
+2. Cite every fact with the label of the section it came from, e.g. [N1§2]. Use ONLY labels shown above
+3. Use the note dates for time-based questions ("last month", "last week")
+4. Use bullet points (•) for lists and keep the answer focused
+5. Answer in ${language}
+
+Answer now:`;
+
+        const model = getModel(2048);
+        const result = await generateWithRetry(model, prompt);
+        const { answer, citations } = resolveAskCitations(result.response.text(), context);
+
+        res.json({ success: true, answer, citations });
+    } catch (error) {
+        console.error('Ask notes error:', error);
+        res.status(500).json({ error: 'Failed to answer question', details: error.message });
+    }
+});
+
+// ==================== CONVERSATIONS ENDPOINTS ====================
+
+// Earlier turns beyond this are left out of the model history (still stored)
+const MAX_CONVERSATION_TURNS = 20;
+
+// Helper: System instruction for a follow-up thread (same roles as /api/followup)
+const buildConversationInstruction = (type, context) => {
+    if (type === 'reply') {
+        return `You are an AI assistant helping to refine and improve message replies.
+
+ORIGINAL REPLY:
+"""
+${context}
+"""
+
+INSTRUCTIONS:
+1. Modify the reply according to each of the user's requests, building on earlier turns
+2. Keep the overall structure unless asked to change it
+3. Maintain appropriate tone and formatting
+4. Return ONLY the refined reply, no explanations`;
+    }
+
+    return `You are an AI assistant helping to expand on and clarify notes.
+
+ORIGINAL NOTES:
+"""
+${context}
+"""
+
+INSTRUCTIONS:
+1. Provide clear, detailed answers to the user's follow-up questions
+2. Reference the original notes and earlier answers in this conversation when relevant
+3. Use bullet points and formatting for clarity
+4. If asked to expand a section, provide comprehensive additional information
+5. Keep the same professional tone as the original notes`;
+};
+
+// Helper: Model history for a thread: the last MAX_CONVERSATION_TURNS turns, as Gemini contents
+const buildConversationHistory = (messages) => {
+    const history = messages.slice(-MAX_CONVERSATION_TURNS * 2).map(message => ({
+        role: message.role,
+        parts: [{ text: message.text }],
+    }));
+    // Gemini history must start with a user turn
+    while (history.length > 0 && history[0].role !== 'user') history.shift();
+    return history;
+};
+
+// Helper: Load a thread and build the model input for a new question
+// Returns { conversation, model, contents } or throws a requestError
+const prepareConversationTurn = async (code, id, question) => {
+    if (!question) {
+        throw requestError(400, 'Question is required');
+    }
+    if (!mongoose.isValidObjectId(id)) {
+        throw requestError(404, 'Conversation not found');
+    }
+
+    const conversation = await Conversation.findOne({ _id: id, recoveryCode: code.toUpperCase() });
+    if (!conversation) {
+        throw requestError(404, 'Conversation not found');
+    }
+
+    // Saved notes may have been edited since the thread started; fall back to the snapshot if deleted
+    let context = conversation.context;
+    if (conversation.noteId) {
+        const note = await Note.findById(conversation.noteId).lean();
+        if (note) context = note.content;
+    }
+
+    return {
+        conversation,
+        model: getChatModel(buildConversationInstruction(conversation.type, context)),
+        contents: [...buildConversationHistory(conversation.messages), { role: 'user', parts: [{ text: question }] }],
+    };
+};
+
+// Helper: Store a question/answer turn
+const saveConversationTurn = async (conversation, question, answer) => {
+    const now = new Date();
+    conversation.messages.push({ role: 'user', text: question, createdAt: now });
+    conversation.messages.push({ role: 'model', text: answer, createdAt: now });
+    conversation.updatedAt = now;
+    await conversation.save();
+};
+
+// Start a thread about a saved note (noteId) or a note/reply text (context)
+app.post('/api/conversations', async (req, res) => {
+    try {
+        const { code, type = 'note', noteId, context, title } = req.body;
+
+        if (!code || (!noteId && !context)) {
+            return res.status(400).json({ error: 'Code and either noteId or context are required' });
+        }
+
+        const user = await User.findOne({ recoveryCode: code.toUpperCase() });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        let note = null;
+        if (noteId) {
+            note = mongoose.isValidObjectId(noteId)
+                ? await Note.findOne({ _id: noteId, recoveryCode: user.recoveryCode }).lean()
+                : null;
+            if (!note) {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+        }
+
+        const conversation = new Conversation({
+            recoveryCode: user.recoveryCode,
+            type: type === 'reply' ? 'reply' : 'note',
+            noteId: note ? note._id : null,
+            context: note ? note.content : context,
+            title: title || (note ? note.title : Note.extractTitle(context)),
+        });
+        await conversation.save();
+
+        res.json({ success: true, conversation });
+    } catch (error) {
+        console.error('Create conversation error:', error);
+        res.status(500).json({ error: 'Failed to create conversation', details: error.message });
+    }
+});
+
+// List threads for an account (optionally for one note), newest first
+app.get('/api/conversations/:code', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const query = { recoveryCode: code.toUpperCase() };
+        if (req.query.noteId && mongoose.isValidObjectId(req.query.noteId)) {
+            query.noteId = req.query.noteId;
+        }
+
+        const conversations = await Conversation.find(query)
+            .select('-context')
+            .sort({ updatedAt: -1 })
+            .limit(100)
+            .lean();
+
+        res.json({
+            success: true,
+            conversations: conversations.map(({ messages, ...conversation }) => ({
+                ...conversation,
+                messageCount: messages.length,
+                lastMessage: messages.length > 0 ? messages[messages.length - 1].text.substring(0, 200) : null,
+            })),
+        });
+    } catch (error) {
+        console.error('List conversations error:', error);
+        res.status(500).json({ error: 'Failed to list conversations', details: error.message });
+    }
+});
+
+// Get a thread with its full history
+app.get('/api/conversations/:code/:id', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const conversation = await Conversation.findOne({ _id: id, recoveryCode: code.toUpperCase() });
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        res.json({ success: true, conversation });
+    } catch (error) {
+        console.error('Get conversation error:', error);
+        res.status(500).json({ error: 'Failed to get conversation', details: error.message });
+    }
+});
+
+// Continue a thread
+app.post('/api/conversations/:code/:id/messages', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        const { question } = req.body;
+
+        const { conversation, model, contents } = await prepareConversationTurn(code, id, question);
+        const result = await generateWithRetry(model, { contents });
+        const response = result.response.text();
+
+        await saveConversationTurn(conversation, question, response);
+
+        res.json({ success: true, response, messageCount: conversation.messages.length });
+    } catch (error) {
+        console.error('Conversation message error:', error);
+        sendRequestError(res, error, 'Failed to generate follow-up');
+    }
+});
+
+// Continue a thread with a streamed answer (SSE, same events as /api/notes/stream)
+app.post('/api/conversations/:code/:id/messages/stream', async (req, res) => {
+    const sendEvent = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+
+    try {
+        const { code, id } = req.params;
+        const { question } = req.body;
+
+        // Validate before switching to SSE so errors are plain JSON
+        let turn;
+        try {
+            turn = await prepareConversationTurn(code, id, question);
+        } catch (error) {
+            return sendRequestError(res, error, 'Failed to generate follow-up');
+        }
+
+        // Set SSE headers
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.flushHeaders();
+
+        const streamResult = await turn.model.generateContentStream({ contents: turn.contents });
+
+        let response = '';
+        for await (const chunk of streamResult.stream) {
+            const chunkText = chunk.text();
+            if (chunkText) {
+                response += chunkText;
+                sendEvent({ text: chunkText });
+            }
+        }
+
+        await saveConversationTurn(turn.conversation, question, response);
+
+        sendEvent({ result: { response, messageCount: turn.conversation.messages.length } });
+        res.write('data: [DONE]\n\n');
+        res.end();
+
+    } catch (error) {
+        console.error('Streaming conversation error:', error);
+        sendEvent({ error: error.message });
+        res.end();
+    }
+});
+
+// Delete a thread
+app.delete('/api/conversations/:code/:id', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const result = await Conversation.deleteOne({ _id: id, recoveryCode: code.toUpperCase() });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        res.json({ success: true, message: 'Conversation deleted' });
+    } catch (error) {
+        console.error('Delete conversation error:', error);
+        res.status(500).json({ error: 'Failed to delete conversation', details: error.message });
+    }
+});
+
+// ==================== STUDY SET ENDPOINTS ====================
+
+const DEFAULT_FLASHCARD_COUNT = 10;
+const MAX_FLASHCARD_COUNT = 40;
+const DEFAULT_QUESTION_COUNT = 5;
+const MAX_QUESTION_COUNT = 20;
+const QUIZ_OPTION_COUNT = 4;
+
+// Gemini response schema for a study set
+const studySetSchema = {
+    type: SchemaType.OBJECT,
+    properties: {
+        title: { type: SchemaType.STRING },
+        flashcards: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    front: { type: SchemaType.STRING },
+                    back: { type: SchemaType.STRING },
+                },
+                required: ['front', 'back'],
+            },
+        },
+        quiz: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    question: { type: SchemaType.STRING },
+                    options: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+                    answerIndex: { type: SchemaType.INTEGER },
+                    explanation: { type: SchemaType.STRING },
+                },
+                required: ['question', 'options', 'answerIndex', 'explanation'],
+            },
+        },
+    },
+    required: ['title', 'flashcards', 'quiz'],
+};
+
+// Helper: Clamp a requested item count
+const parseStudyCount = (value, fallback, max) => {
+    const count = parseInt(value, 10);
+    if (isNaN(count)) return fallback;
+    return Math.min(Math.max(count, 0), max);
+};
+
+// Helper: Is a generated flashcard or quiz entry an object? (the model sometimes emits null or strings)
+const isStudyItem = (item) => Boolean(item) && typeof item === 'object' && !Array.isArray(item);
+
+// Helper: Drop malformed cards/questions from a generated study set
+// Returns the problems found; only reported (for a retry) when too few usable items remain
+const validateStudySet = (data, flashcardCount, questionCount) => {
+    const problems = [];
+    const seenFronts = new Set();
+
+    data.flashcards = (Array.isArray(data.flashcards) ? data.flashcards : [])
+        .filter(isStudyItem)
+        .map(card => ({ front: String(card.front || '').trim(), back: String(card.back || '').trim() }))
+        .filter(card => {
+            const key = card.front.toLowerCase();
+            if (!card.front || !card.back || seenFronts.has(key)) return false;
+            seenFronts.add(key);
+            return true;
+        })
+        .slice(0, flashcardCount);
+
+    data.quiz = (Array.isArray(data.quiz) ? data.quiz : [])
+        .filter((item, index) => {
+            if (!isStudyItem(item)) {
+                problems.push(`Question ${index + 1} is not an object`);
+                return false;
+            }
+            const options = Array.isArray(item.options) ? item.options.map(option => String(option).trim()) : [];
+            const unique = new Set(options.map(option => option.toLowerCase()));
+
+            if (!String(item.question || '').trim()) {
+                problems.push(`Question ${index + 1} has no question text`);
+            } else if (options.length !== QUIZ_OPTION_COUNT || options.some(option => !option) || unique.size !== options.length) {
+                problems.push(`Question ${index + 1} must have exactly ${QUIZ_OPTION_COUNT} different, non-empty options`);
+            } else if (!Number.isInteger(item.answerIndex) || item.answerIndex < 0 || item.answerIndex >= options.length) {
+                problems.push(`Question ${index + 1} has answerIndex ${item.answerIndex}, expected 0-${options.length - 1}`);
+            } else {
+                item.question = String(item.question).trim();
+                item.options = options;
+                item.explanation = String(item.explanation || '').trim();
+                return true;
+            }
+            return false;
+        })
+        .slice(0, questionCount);
+
+    // A few dropped items are fine; retry only when the set is mostly unusable
+    const tooFewCards = data.flashcards.length < Math.ceil(flashcardCount / 2);
+    const tooFewQuestions = data.quiz.length < Math.ceil(questionCount / 2);
+    if (tooFewCards) {
+        problems.push(`Only ${data.flashcards.length} usable flashcards (asked for ${flashcardCount}); each needs a distinct front and a back`);
+    }
+    if (tooFewQuestions) {
+        problems.push(`Only ${data.quiz.length} usable quiz questions (asked for ${questionCount})`);
+    }
+    return tooFewCards || tooFewQuestions ? problems : [];
+};
+
+// Helper: Hide answer keys from a study set (for quiz-taking clients)
+const withoutAnswers = (studySet) => ({
+    ...studySet,
+    quiz: studySet.quiz.map(({ answerIndex, explanation, ...question }) => question),
+});
+
+// Generate flashcards and a multiple-choice quiz from a saved note (noteId) or raw text (content)
+app.post('/api/study-sets', async (req, res) => {
+    try {
+        const { code, noteId, content, language = 'English' } = req.body;
+        const flashcardCount = parseStudyCount(req.body.flashcardCount, DEFAULT_FLASHCARD_COUNT, MAX_FLASHCARD_COUNT);
+        const questionCount = parseStudyCount(req.body.questionCount, DEFAULT_QUESTION_COUNT, MAX_QUESTION_COUNT);
+
+        if (!code || (!noteId && !content)) {
+            return res.status(400).json({ error: 'Code and either noteId or content are required' });
+        }
+        if (flashcardCount === 0 && questionCount === 0) {
+            return res.status(400).json({ error: 'Ask for at least one flashcard or quiz question' });
+        }
+
+        const user = await User.findOne({ recoveryCode: code.toUpperCase() });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        let note = null;
+        if (noteId) {
+            note = mongoose.isValidObjectId(noteId)
+                ? await Note.findOne({ _id: noteId, recoveryCode: user.recoveryCode }).lean()
+                : null;
+            if (!note) {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+        }
+
+        const source = await condenseLongContent(note ? note.content : content, 'study material');
+
+        const prompt = `You are an expert tutor creating study material from notes.
+
+Create:
+- ${flashcardCount} flashcards. "front" is a term, concept or short question; "back" is a concise answer (1-3 sentences).
+- ${questionCount} multiple-choice questions. Each has exactly ${QUIZ_OPTION_COUNT} options, one correct answer ("answerIndex", 0-based),
+  plausible distractors, and a one-sentence "explanation" of why the answer is correct.
+- A short "title" for the study set.
+
+RULES:
+- Use ONLY facts stated in the notes below
+- Cover the most important ideas; do not repeat the same fact across cards
+- Vary the position of the correct answer
+- Write everything in ${language}
+
+NOTES:
+"""
+${source}
+"""`;
+
+        const data = await generateJson(
+            prompt,
+            studySetSchema,
+            (result) => validateStudySet(result, flashcardCount, questionCount),
+            { maxTokens: 8192 }
+        );
+
+        const studySet = new StudySet({
+            recoveryCode: user.recoveryCode,
+            noteId: note ? note._id : null,
+            title: String(data.title || '').trim() || (note ? note.title : Note.extractTitle(content)),
+            flashcards: data.flashcards,
+            quiz: data.quiz,
+        });
+        await studySet.save();
+
+        res.json({ success: true, studySet });
+    } catch (error) {
+        console.error('Generate study set error:', error);
+        sendRequestError(res, error, 'Failed to generate study set');
+    }
+});
+
+// List study sets for an account (optionally for one note), newest first
+app.get('/api/study-sets/:code', async (req, res) => {
+    try {
+        const { code } = req.params;
+        const query = { recoveryCode: code.toUpperCase() };
+        if (req.query.noteId && mongoose.isValidObjectId(req.query.noteId)) {
+            query.noteId = req.query.noteId;
+        }
+
+        const studySets = await StudySet.find(query)
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .lean();
 
         res.json({
             success: true,
-            creditsUsed: amount,
-            remainingCredits: user.credits,
-            remainingAdCredits: user.adCredits || 0,
-            remainingFreeCredits: user.freeCreditsRemaining,
-            totalAvailable: user.credits + (user.adCredits || 0) + user.freeCreditsRemaining,
+            studySets: studySets.map(({ flashcards, quiz, attempts, ...studySet }) => ({
+                ...studySet,
+                flashcardCount: flashcards.length,
+                questionCount: quiz.length,
+                attemptCount: attempts.length,
+                bestScore: attempts.length > 0 ? Math.max(...attempts.map(attempt => attempt.score)) : null,
+            })),
         });
     } catch (error) {
-        console.error('Use credits error:', error);
-        res.status(500).json({ error: 'Failed to use credits', details: error.message });
+        console.error('List study sets error:', error);
+        res.status(500).json({ error: 'Failed to list study sets', details: error.message });
     }
 });
 
-// ==================== AD REWARD ENDPOINTS ====================
+// Get a study set. ?hideAnswers=true leaves out answer keys so the quiz can be taken
+app.get('/api/study-sets/:code/:id', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Study set not found' });
+        }
 
-// ==================== APP CONFIG & ADS ====================
+        const studySet = await StudySet.findOne({ _id: id, recoveryCode: code.toUpperCase() }).lean();
+        if (!studySet) {
+            return res.status(404).json({ error: 'Study set not found' });
+        }
 
-// Get Master App Config (Banners, Ads, Alerts)
-app.get('/api/config', async (req, res) => {
-    try {
-        const config = await getAppConfig();
-        res.json(config);
+        res.json({ success: true, studySet: req.query.hideAnswers === 'true' ? withoutAnswers(studySet) : studySet });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch config' });
+        console.error('Get study set error:', error);
+        res.status(500).json({ error: 'Failed to get study set', details: error.message });
     }
 });
 
-// Legacy Endpoint Support (Redirect to new logic if needed, or keep for older app versions)
-app.get('/api/config/ad-offer', async (req, res) => {
-    const config = await getAppConfig();
-    res.json({
-        STANDARD_REWARD: config.adRewards.standardReward,
-        SPECIAL_OFFER_ACTIVE: config.adRewards.specialOfferActive,
-        SPECIAL_REWARD: config.adRewards.specialReward,
-        SPECIAL_MESSAGE: config.adRewards.specialMessage,
-    });
+// Grade a quiz attempt. answers[i] is the chosen option index for question i (null to skip)
+app.post('/api/study-sets/:code/:id/grade', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        const { answers } = req.body;
+
+        if (!Array.isArray(answers)) {
+            return res.status(400).json({ error: 'Answers must be an array of option indexes' });
+        }
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Study set not found' });
+        }
+
+        const studySet = await StudySet.findOne({ _id: id, recoveryCode: code.toUpperCase() });
+        if (!studySet) {
+            return res.status(404).json({ error: 'Study set not found' });
+        }
+        if (answers.length > studySet.quiz.length) {
+            return res.status(400).json({ error: `This quiz has ${studySet.quiz.length} questions` });
+        }
+
+        const grade = studySet.gradeAttempt(answers);
+        studySet.attempts.push({
+            answers: grade.results.map(result => result.selectedIndex),
+            score: grade.score,
+            total: grade.total,
+        });
+        await studySet.save();
+
+        res.json({ success: true, ...grade, attemptCount: studySet.attempts.length });
+    } catch (error) {
+        console.error('Grade quiz error:', error);
+        res.status(500).json({ error: 'Failed to grade quiz', details: error.message });
+    }
 });
 
-// Claim Watch Ad Reward (1 per day)
-app.post('/api/credits/claim-ad-reward', async (req, res) => {
+// Delete a study set
+app.delete('/api/study-sets/:code/:id', async (req, res) => {
     try {
-        const { code } = req.body;
-        if (!code) return res.status(400).json({ error: 'Recovery code is required' });
+        const { code, id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Study set not found' });
+        }
 
-        const user = await User.findOne({ recoveryCode: code.toUpperCase() });
-        if (!user) return res.status(404).json({ error: 'User not found' });
+        const result = await StudySet.deleteOne({ _id: id, recoveryCode: code.toUpperCase() });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Study set not found' });
+        }
 
-        // Check if already claimed today
-        const now = new Date();
-        const lastClaim = user.lastAdRewardDate ? new Date(user.lastAdRewardDate) : null;
+        res.json({ success: true, message: 'Study set deleted' });
+    } catch (error) {
+        console.error('Delete study set error:', error);
+        res.status(500).json({ error: 'Failed to delete study set', details: error.message });
+    }
+});
 
-        if (lastClaim && lastClaim.toDateString() === now.toDateString()) {
-            return res.json({
-                success: false,
-                message: 'You have already claimed your daily ad reward!',
-                alreadyClaimed: true,
-                nextClaimTime: 'tomorrow'
-            });
-        }
+// ==================== FLASHCARD EXPORT ENDPOINT ====================
 
-        // Fetch Dynamic Config
-        const config = await getAppConfig();
-        const { adRewards } = config;
+// Helper: Make a note title safe for a download filename
+const toFilename = (title) => {
+    return title.replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-').substring(0, 80) || 'note';
+};
 
-        // Determine Amount
-        const rewardAmount = adRewards.specialOfferActive
-            ? adRewards.specialReward
-            : adRewards.standardReward;
+// Helper: Send flashcards as an Anki package, CSV, Quizlet import or JSON
+const sendFlashcardExport = async (res, format, deckName, cards, sourceUrl) => {
+    const extra = sourceUrl || '';
+    const filename = toFilename(deckName);
 
-        // Apply Reward (to Ad Credits bucket)
-        if (!user.adCredits) user.adCredits = 0;
-        user.adCredits += rewardAmount;
-        user.lastAdRewardDate = now;
+    if (format === 'json') {
+        return res.json({ success: true, deckName, sourceUrl, count: cards.length, cards });
+    }
 
-        // Log transaction
-        user.processedTransactions.push({
-            transactionId: `ad_reward_${Date.now()}`,
-            credits: rewardAmount,
-            processedAt: now,
-        });
+    if (format === 'apkg') {
+        const buffer = await buildAnkiPackage(deckName, cards, extra);
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.apkg"`);
+        return res.send(buffer);
+    }
 
-        await user.save();
+    const isCsv = format === 'csv';
+    res.setHeader('Content-Type', `${isCsv ? 'text/csv' : 'text/tab-separated-values'}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${isCsv ? 'csv' : 'txt'}"`);
+    res.send(isCsv ? buildFlashcardCsv(cards, extra) : buildQuizletTsv(cards));
+};
 
-        res.json({
-            success: true,
-            creditsAdded: rewardAmount,
-            newBalance: user.adCredits,
-            totalAvailable: user.credits + user.adCredits + user.freeCreditsRemaining,
-            message: adRewards.specialOfferActive
-                ? `Special Offer! You earned ${rewardAmount} credits!`
-                : `You earned ${rewardAmount} credit! Come back tomorrow for more.`
-        });
+// Export a saved note's definitions and Q/A pairs as flashcards
+// ?format=apkg (Anki package) | csv | quizlet (tab-separated import) | json
+app.get('/api/saved-notes/:code/:id/flashcards', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        const format = req.query.format || 'json';
+
+        if (!FLASHCARD_EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Format must be one of: ${FLASHCARD_EXPORT_FORMATS.join(', ')}` });
+        }
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const note = await Note.findOne({ _id: id, recoveryCode: code.toUpperCase() }).lean();
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
 
+        const cards = extractFlashcardPairs(note.content);
+        if (cards.length === 0) {
+            return res.status(422).json({
+                error: 'No definitions or question/answer pairs found in this note',
+                code: 'NO_FLASHCARDS',
+            });
+        }
+
+        await sendFlashcardExport(res, format, note.title || 'AI Notes', cards, note.sourceUrl);
     } catch (error) {
-        console.error('Ad reward claim error:', error);
-        res.status(500).json({ error: 'Failed to claim reward', details: error.message });
+        console.error('Flashcard export error:', error);
+        res.status(500).json({ error: 'Failed to export flashcards', details: error.message });
     }
 });
 
-const rateLimit = require('express-rate-limit');
+// Export a study set's flashcards in the same formats as note flashcards
+app.get('/api/study-sets/:code/:id/flashcards', async (req, res) => {
+    try {
+        const { code, id } = req.params;
+        const format = req.query.format || 'json';
 
-// Rate limiter for recovery attempts (5 per hour)
-// Prevents brute-force guessing of recovery codes
-const recoverLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 5, // Limit each IP to 5 requests per windowMs
-    message: {
-        error: 'Too many attempts',
-        message: 'Too many failed recovery attempts. Please try again in an hour.'
-    },
-    standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-    legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+        if (!FLASHCARD_EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Format must be one of: ${FLASHCARD_EXPORT_FORMATS.join(', ')}` });
+        }
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Study set not found' });
+        }
+
+        const studySet = await StudySet.findOne({ _id: id, recoveryCode: code.toUpperCase() }).lean();
+        if (!studySet) {
+            return res.status(404).json({ error: 'Study set not found' });
+        }
+        if (studySet.flashcards.length === 0) {
+            return res.status(422).json({ error: 'This study set has no flashcards', code: 'NO_FLASHCARDS' });
+        }
+
+        const cards = studySet.flashcards.map(({ front, back }) => ({ front, back, kind: 'flashcard' }));
+        await sendFlashcardExport(res, format, studySet.title || 'Study Set', cards, null);
+    } catch (error) {
+        console.error('Study set flashcard export error:', error);
+        res.status(500).json({ error: 'Failed to export flashcards', details: error.message });
+    }
 });
 
-// Recover - Switch to account with recovery code
-// Optimizes DB by deleting the OLD current account if it has 0 credits and no history
-// Protected by rate limiter
-app.post('/api/credits/recover', recoverLimiter, async (req, res) => {
+// ==================== NOTE EXPORT ENDPOINTS ====================
+
+// Helper: Render note markdown in an export format and send it as an attachment
+const sendNoteExport = async (res, content, title, format) => {
+    const document = parseNoteDocument(content, title);
+    const { contentType, extension } = NOTE_EXPORT_FORMATS[format];
+    const output = await renderNoteDocument(document, format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${toFilename(title || document.title)}.${extension}"`);
+    res.send(output);
+};
+
+// Export a saved note as a file (?format=md | html | docx | pdf)
+app.get('/api/saved-notes/:code/:id/export', async (req, res) => {
     try {
-        const { code, currentCode } = req.body;
+        const { code, id } = req.params;
+        const format = req.query.format || 'md';
 
-        if (!code) {
-            return res.status(400).json({ error: 'Recovery code is required' });
+        if (!isNoteExportFormat(format)) {
+            return res.status(400).json({ error: `Format must be one of: ${Object.keys(NOTE_EXPORT_FORMATS).join(', ')}` });
+        }
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ error: 'Note not found' });
         }
 
-        const targetCode = code.toUpperCase();
-        const currentRecoveryCode = currentCode?.toUpperCase();
+        const note = await Note.findOne({ _id: id, recoveryCode: code.toUpperCase() }).lean();
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
 
-        // 1. Find the target account to switch TO
-        const targetAccount = await User.findOne({ recoveryCode: targetCode });
+        await sendNoteExport(res, note.content, note.title, format);
+    } catch (error) {
+        console.error('Export note error:', error);
+        res.status(500).json({ error: 'Failed to export note', details: error.message });
+    }
+});
 
-        if (!targetAccount) {
-            return res.status(404).json({
-                error: 'Invalid recovery code',
-                message: 'No account found with this recovery code. Please check and try again.',
-            });
+// Export unsaved note text as a file
+app.post('/api/export', async (req, res) => {
+    try {
+        const { content, title, format = 'md' } = req.body;
+
+        if (!content) {
+            return res.status(400).json({ error: 'Content is required' });
+        }
+        if (typeof content !== 'string' || (title !== undefined && title !== null && typeof title !== 'string')) {
+            return res.status(400).json({ error: 'Content and title must be markdown strings' });
+        }
+        if (!isNoteExportFormat(format)) {
+            return res.status(400).json({ error: `Format must be one of: ${Object.keys(NOTE_EXPORT_FORMATS).join(', ')}` });
         }
 
-        // 2. If same code as current, just return info
-        if (currentRecoveryCode && targetCode === currentRecoveryCode) {
-            const config = await getAppConfig();
-            targetAccount.resetDailyCreditsIfNeeded(config.freeDailyCredits);
-            targetAccount.lastActive = new Date();
-            await targetAccount.save();
+        await sendNoteExport(res, content, title || Note.extractTitle(content), format);
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(500).json({ error: 'Failed to export note', details: error.message });
+    }
+});
 
-            return res.json({
-                success: true,
-                recoveryCode: targetAccount.recoveryCode,
-                credits: targetAccount.credits,
-                adCredits: targetAccount.adCredits || 0,
-                freeCreditsRemaining: targetAccount.freeCreditsRemaining,
-                totalAvailable: targetAccount.credits + (targetAccount.adCredits || 0) + targetAccount.freeCreditsRemaining,
-                message: 'Already using this account!',
-            });
-        }
+// ==================== ACTION ITEMS ENDPOINT ====================
 
-        // 3. AUTO-CLEANUP: Check if we should delete the current account before switching
-        if (currentRecoveryCode && targetCode !== currentRecoveryCode) {
-            const currentAccount = await User.findOne({ recoveryCode: currentRecoveryCode });
+// Helper: Resolve the reference date for relative deadlines
+// referenceDate may be YYYY-MM-DD (used as-is) or any date-time (converted to the timezone's calendar date)
+// Returns { referenceDate, timezone } or throws a requestError
+const resolveReferenceDate = (referenceDate, timezone = 'UTC') => {
+    try {
+        getDateInTimezone(new Date(), timezone);
+    } catch (error) {
+        throw requestError(400, `Unknown timezone: ${timezone}`);
+    }
 
-            // Delete if exists AND has 0 purchased credits AND no transaction history
-            if (currentAccount &&
-                currentAccount.credits === 0 &&
-                (!currentAccount.processedTransactions || currentAccount.processedTransactions.length === 0)) {
+    if (!referenceDate) {
+        return { referenceDate: getDateInTimezone(new Date(), timezone), timezone };
+    }
+    if (isValidIsoDate(referenceDate)) {
+        return { referenceDate, timezone };
+    }
 
-                await User.deleteOne({ recoveryCode: currentRecoveryCode });
-                console.log(`🧹 Deleted empty account ${currentRecoveryCode} while switching to ${targetCode}`);
-            }
+    const parsed = new Date(referenceDate);
+    if (isNaN(parsed) || /^\d{4}-\d{2}-\d{2}$/.test(referenceDate)) {
+        throw requestError(400, 'referenceDate must be a date (YYYY-MM-DD) or ISO date-time');
+    }
+    return { referenceDate: getDateInTimezone(parsed, timezone), timezone };
+};
+
+// Helper: Extract action items from notes or a transcript
+// Deadlines are resolved against referenceDate (YYYY-MM-DD, the user's "today" in timezone).
+// Returns [{ task, owner, dueDate, dueTime, dueText, priority, quote }]; quote is null when the model's
+// quote can't be found in the source.
+const extractActionItems = async (content, { referenceDate, timezone }) => {
+    const source = await condenseLongContent(content, 'document');
+    const data = await generateJson(buildActionItemsPrompt(source, referenceDate, timezone), actionItemsSchema, (result) => {
+        if (!Array.isArray(result.actionItems)) return ['actionItems must be an array'];
+        const missingTask = result.actionItems.findIndex(item => !String(item?.task || '').trim());
+        return missingTask === -1 ? [] : [`actionItems[${missingTask}] has no task`];
+    });
+    return cleanActionItems(data.actionItems, source, referenceDate);
+};
+
+// Extract action items from a saved note (code + noteId) or text (content)
+app.post('/api/action-items', async (req, res) => {
+    try {
+        const { code, noteId, content } = req.body;
+
+        if (!content && !(code && noteId)) {
+            return res.status(400).json({ error: 'Content or code and noteId are required' });
+        }
+        if (noteId && typeof code !== 'string') {
+            throw requestError(400, 'A recovery code is required to read a saved note');
+        }
+        if (content && typeof content !== 'string') {
+            return res.status(400).json({ error: 'Content must be a string' });
         }
 
-        // 4. Switch to target account
-        // Log the switch event if we are switching from another account
-        if (currentRecoveryCode && targetCode !== currentRecoveryCode) {
-            targetAccount.switchHistory.push({
-                fromCode: currentRecoveryCode,
-                timestamp: new Date(),
-                description: `Switched from ${currentRecoveryCode} to ${targetCode}`
-            });
+        const reference = resolveReferenceDate(req.body.referenceDate, req.body.timezone);
+
+        let source = content;
+        if (noteId) {
+            const note = mongoose.isValidObjectId(noteId)
+                ? await Note.findOne({ _id: noteId, recoveryCode: code.toUpperCase() }).lean()
+                : null;
+            if (!note) {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            source = note.content;
         }
 
-        const config = await getAppConfig();
-        targetAccount.resetDailyCreditsIfNeeded(config.freeDailyCredits);
-        targetAccount.lastActive = new Date();
-        await targetAccount.save();
+        const actionItems = await extractActionItems(source, reference);
 
-        res.json({
-            success: true,
-            recoveryCode: targetAccount.recoveryCode,
-            credits: targetAccount.credits,
-            adCredits: targetAccount.adCredits || 0,
-            freeCreditsRemaining: targetAccount.freeCreditsRemaining,
-            totalAvailable: targetAccount.credits + (targetAccount.adCredits || 0) + targetAccount.freeCreditsRemaining,
-            message: 'Account recovered successfully!',
-        });
+        res.json({ success: true, ...reference, actionItems });
     } catch (error) {
-        console.error('Recover error:', error);
-        res.status(500).json({ error: 'Failed to recover account', details: error.message });
+        console.error('Action items error:', error);
+        sendRequestError(res, error, 'Failed to extract action items');
     }
 });
 
-// Get processed transactions (for debugging/support)
-app.get('/api/credits/transactions/:code', async (req, res) => {
+// ==================== CALENDAR EXPORT ENDPOINT ====================
+
+// Helper: Extract scheduled events (not tasks) from notes
+// Returns [{ title, date, startTime, endTime, location, quote }], only events with a resolvable date
+const extractCalendarEvents = async (content, { referenceDate, timezone }) => {
+    const source = await condenseLongContent(content, 'document');
+    const data = await generateJson(buildCalendarEventsPrompt(source, referenceDate, timezone), calendarEventsSchema, (result) => {
+        return Array.isArray(result.events) ? [] : ['events must be an array'];
+    });
+    return cleanCalendarEvents(data.events, referenceDate);
+};
+
+// Export dated events and deadlines from a saved note (code + noteId) or text (content) as an .ics file
+// format=json returns the extracted items instead of the file
+app.post('/api/calendar', async (req, res) => {
     try {
-        const { code } = req.params;
-        const user = await User.findOne({ recoveryCode: code.toUpperCase() });
+        const { code, noteId, content, format = 'ics' } = req.body;
 
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        if (!content && !(code && noteId)) {
+            return res.status(400).json({ error: 'Content or code and noteId are required' });
+        }
+        if (noteId && typeof code !== 'string') {
+            throw requestError(400, 'A recovery code is required to read a saved note');
+        }
+        if ((content && typeof content !== 'string') || (req.body.title && typeof req.body.title !== 'string')) {
+            return res.status(400).json({ error: 'Content and title must be strings' });
+        }
+        if (!['ics', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be one of: ics, json' });
         }
 
-        res.json({
-            success: true,
-            transactions: user.processedTransactions,
+        const reference = resolveReferenceDate(req.body.referenceDate, req.body.timezone);
+
+        let source = content;
+        let title = req.body.title || (content ? Note.extractTitle(content) : 'Notes');
+        if (noteId) {
+            const note = mongoose.isValidObjectId(noteId)
+                ? await Note.findOne({ _id: noteId, recoveryCode: code.toUpperCase() }).lean()
+                : null;
+            if (!note) {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+            source = note.content;
+            title = note.title;
+        }
+
+        const [events, actionItems] = await Promise.all([
+            extractCalendarEvents(source, reference),
+            extractActionItems(source, reference),
+        ]);
+        const todos = actionItems.filter(item => item.dueDate);
+
+        if (format === 'json') {
+            return res.json({ success: true, ...reference, events, todos });
+        }
+        if (events.length === 0 && todos.length === 0) {
+            return res.status(422).json({ error: 'No dated events or deadlines found', code: 'NO_CALENDAR_ITEMS' });
+        }
+
+        const calendar = buildIcsCalendar({
+            name: title,
+            events,
+            todos,
+            timezone: reference.timezone,
+            uidSeed: noteId || source,
         });
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${toFilename(title)}.ics"`);
+        res.send(calendar);
     } catch (error) {
-        console.error('Transactions error:', error);
-        res.status(500).json({ error: 'Failed to get transactions', details: error.message });
+        console.error('Calendar export error:', error);
+        sendRequestError(res, error, 'Failed to export calendar');
     }
 });
 
@@ -1635,10 +4641,33 @@ app.get('/api/health', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log(`✨ SERVER VERSION: v3.0 (With Credits System)`);
-    console.log(`📝 Notes endpoint: POST /api/notes`);
-    console.log(`💬 Reply endpoint: POST /api/reply`);
-    console.log(`💳 Credits endpoints: /api/credits/*`);
-});
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running on http://localhost:${PORT}`);
+        console.log(`✨ SERVER VERSION: v3.0 (With Credits System)`);
+        console.log(`📝 Notes endpoint: POST /api/notes`);
+        console.log(`💬 Reply endpoint: POST /api/reply`);
+        console.log(`💳 Credits endpoints: /api/credits/*`);
+    });
+}
+
+// Pure helpers, exported for the tests in test/
+module.exports = {
+    app,
+    splitIntoChunks,
+    splitIntoCitedChunks,
+    removeContinuationOverlap,
+    validateStudySet,
+    groundWebsiteNotes,
+    diffLines,
+    resolveAskCitations,
+    buildConversationHistory,
+    generateJson,
+    validateStructuredNotes,
+    structuredNotesToMarkdown,
+    cleanMindMapNode,
+    validateMindMap,
+    renderMermaidMindMap,
+    validateCombinedSources,
+    finishCombinedNotes,
+};
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveAskCitations } = require('../server');
+
+const context = [
+    {
+        ref: 'N1',
+        note: { _id: 'note-a', title: 'Biology' },
+        sections: [{ index: 1, heading: 'Cells', text: '...' }, { index: 3, heading: 'Energy', text: '...' }],
+    },
+    {
+        ref: 'N2',
+        note: { _id: 'note-b', title: 'Chemistry' },
+        sections: [{ index: 2, heading: 'Bonds', text: '...' }],
+    },
+];
+
+test('resolveAskCitations numbers citations in order of first use and reuses repeated ones', () => {
+    const { answer, citations } = resolveAskCitations(
+        'Cells use energy [N1§3]. Bonds store it [N2 § 2], as noted before [N1§3].',
+        context
+    );
+
+    assert.equal(answer, 'Cells use energy [1]. Bonds store it [2], as noted before [1].');
+    assert.deepEqual(citations, [
+        { ref: 1, noteId: 'note-a', noteTitle: 'Biology', section: 'Energy', sectionIndex: 3 },
+        { ref: 2, noteId: 'note-b', noteTitle: 'Chemistry', section: 'Bonds', sectionIndex: 2 },
+    ]);
+});
+
+test('resolveAskCitations drops citations to notes or sections that were not in the context', () => {
+    const { answer, citations } = resolveAskCitations(
+        'Made up [N9§1]. Skipped section [N1§2]. Real one [N1§1].',
+        context
+    );
+
+    assert.equal(answer, 'Made up. Skipped section. Real one [1].');
+    assert.deepEqual(citations.map(citation => [citation.ref, citation.sectionIndex]), [[1, 1]]);
+});
+
+test('resolveAskCitations leaves answers without citations unchanged', () => {
+    assert.deepEqual(resolveAskCitations('  No notes cover this.  ', []), { answer: 'No notes cover this.', citations: [] });
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { cleanCalendarEvents, escapeIcsText, foldIcsLine, buildIcsCalendar } = require('../lib/calendar');
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+test('escapeIcsText escapes backslashes, separators and newlines', () => {
+    assert.equal(escapeIcsText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+});
+
+test('foldIcsLine leaves lines of 75 octets alone', () => {
+    const line = `SUMMARY:${'x'.repeat(67)}`;
+    assert.equal(foldIcsLine(line), line);
+});
+
+test('foldIcsLine folds long lines at 75 octets including the leading space', () => {
+    const line = `DESCRIPTION:${'abcdefghij'.repeat(20)}`;
+    const folded = foldIcsLine(line);
+    const physical = folded.split('\r\n');
+
+    assert.equal(physical.length, 3);
+    assert.equal(Buffer.byteLength(physical[0]), 75);
+    physical.slice(1).forEach(part => {
+        assert.ok(part.startsWith(' '));
+        assert.ok(Buffer.byteLength(part) <= 75);
+    });
+    assert.equal(unfold(folded), line);
+});
+
+test('foldIcsLine never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é会😀'.repeat(30)}`;
+    const folded = foldIcsLine(line);
+
+    folded.split('\r\n').forEach(part => {
+        assert.ok(Buffer.byteLength(part) <= 75);
+        assert.ok(!part.includes('�'));
+    });
+    assert.equal(unfold(folded), line);
+});
+
+test('buildIcsCalendar writes timed events in UTC and dated todos', () => {
+    const ics = buildIcsCalendar({
+        name: 'Team, sync',
+        timezone: 'America/New_York',
+        uidSeed: 'note-1',
+        events: [
+            { title: 'Planning', date: '2026-11-14', startTime: '09:00', endTime: null, location: 'Room 4', quote: null },
+            // Daylight saving starts in New York on 2026-03-08
+            { title: 'Kickoff', date: '2026-03-08', startTime: '09:00', endTime: '10:30', location: null, quote: null },
+            { title: 'Offsite', date: '2026-12-31', startTime: null, endTime: null, location: null, quote: null },
+        ],
+        todos: [
+            { task: 'Send the report', owner: 'Ana', dueDate: '2026-11-13', dueTime: null, priority: 'high', quote: 'Ana sends the report' },
+        ],
+    });
+    const lines = unfold(ics).split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(lines.includes('X-WR-CALNAME:Team\\, sync'));
+    assert.ok(lines.includes('DTSTART:20261114T140000Z'));
+    assert.ok(lines.includes('DTEND:20261114T150000Z'));
+    assert.ok(lines.includes('DTSTART:20260308T130000Z'));
+    assert.ok(lines.includes('DTEND:20260308T143000Z'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20261231'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20270101'));
+    assert.ok(lines.includes('DUE;VALUE=DATE:20261113'));
+    assert.ok(lines.includes('PRIORITY:1'));
+    assert.ok(lines.includes('DESCRIPTION:Owner: Ana\\n"Ana sends the report"'));
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 3);
+    assert.equal(lines.filter(line => line.startsWith('UID:')).length, 4);
+});
+
+test('cleanCalendarEvents resolves dates, checks times and drops undated events', () => {
+    const events = cleanCalendarEvents([
+        { title: ' Design review ', dateText: 'next Tuesday', date: '2030-01-01', startTime: '14:00', endTime: '7pm', location: ' Room 4 ', quote: 'Design review next Tuesday' },
+        { title: 'Offsite', dateText: 'sometime soon', date: '2026-11-20', quote: 'Offsite' },
+        { title: 'Party', dateText: 'at some point', date: null, quote: 'Party' },
+        { title: '', dateText: 'tomorrow', quote: '' },
+    ], '2026-10-19');
+
+    assert.deepEqual(events, [
+        { title: 'Design review', date: '2026-10-27', startTime: '14:00', endTime: null, location: 'Room 4', quote: 'Design review next Tuesday' },
+        { title: 'Offsite', date: '2026-11-20', startTime: null, endTime: null, location: null, quote: 'Offsite' },
+    ]);
+});
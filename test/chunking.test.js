@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitIntoChunks, splitIntoCitedChunks } = require('../server');
+
+test('splitIntoChunks returns short text as one chunk', () => {
+    assert.deepEqual(splitIntoChunks('Short text.', 100, 10), ['Short text.']);
+});
+
+test('splitIntoChunks covers the whole text with overlapping chunks', () => {
+    const sentences = Array.from({ length: 60 }, (_, i) => `Sentence number ${i} has some words.`);
+    const text = sentences.join(' ');
+    const chunks = splitIntoChunks(text, 300, 60);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(chunk.length <= 300));
+    // Every sentence survives, and consecutive chunks share some text
+    sentences.forEach(sentence => assert.ok(chunks.some(chunk => chunk.includes(sentence)), sentence));
+    for (let i = 1; i < chunks.length; i++) {
+        const head = chunks[i].split(' ').slice(0, 3).join(' ');
+        assert.ok(chunks[i - 1].includes(head), `chunk ${i} should start inside chunk ${i - 1}`);
+    }
+});
+
+test('splitIntoChunks breaks at sentence ends rather than mid-word', () => {
+    const text = 'Alpha beta gamma delta. '.repeat(40);
+    const chunks = splitIntoChunks(text, 200, 20);
+    chunks.slice(0, -1).forEach(chunk => assert.ok(chunk.endsWith('.'), chunk));
+});
+
+test('splitIntoChunks prefers paragraph breaks', () => {
+    const paragraph = 'word '.repeat(30).trim();
+    const text = `${paragraph}\n\n${paragraph}\n\n${paragraph}`;
+    const chunks = splitIntoChunks(text, 200, 0);
+    assert.equal(chunks[0], paragraph);
+});
+
+test('splitIntoCitedChunks groups whole paragraphs under the chunk size', () => {
+    const lines = Array.from({ length: 12 }, (_, i) => `[P${i + 1}] Paragraph ${i + 1} has a few words in it.`);
+    const chunks = splitIntoCitedChunks(lines.join('\n'), 150);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(chunk.length <= 150, chunk));
+    // No paragraph is cut or repeated
+    assert.deepEqual(chunks.join('\n').split('\n'), lines);
+});
+
+test('splitIntoCitedChunks splits an oversized paragraph and keeps its id on every piece', () => {
+    const long = `[P2] ${'This long paragraph keeps going. '.repeat(20).trim()}`;
+    const chunks = splitIntoCitedChunks(`[P1] Short intro.\n${long}\n[P3] Short outro.`, 200);
+
+    assert.ok(chunks.length > 2);
+    chunks.forEach(chunk => assert.ok(chunk.length <= 200, chunk));
+    chunks.flatMap(chunk => chunk.split('\n')).forEach(line => assert.match(line, /^\[P\d+\] /));
+    assert.ok(chunks.filter(chunk => chunk.includes('[P2]')).length > 1);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateCombinedSources, finishCombinedNotes } = require('../server');
+
+const sources = [
+    { id: 'S1', type: 'website', label: 'Example article', url: 'https://example.com/a', status: 'ok', error: null },
+    { id: 'S2', type: 'pdf', label: 'report.pdf', url: null, status: 'ok', error: null },
+    { id: 'S3', type: 'youtube', label: 'https://youtu.be/x', url: 'https://youtu.be/x', status: 'failed', error: 'No captions' },
+];
+
+test('finishCombinedNotes keeps tags of loaded sources and lists them', () => {
+    const notes = '# Topic\n• Point from the article [S1]\n• Shared point [S1, S2]\n';
+
+    assert.equal(finishCombinedNotes(notes, sources), [
+        '# Topic',
+        '• Point from the article [S1]',
+        '• Shared point [S1, S2]',
+        '',
+        '## 📚 Sources',
+        '• [S1] [Example article](https://example.com/a) (website)',
+        '• [S2] report.pdf (pdf)',
+    ].join('\n'));
+});
+
+test('finishCombinedNotes removes tags of failed or unknown sources', () => {
+    const notes = '• From the failed video [S3]\n• Mixed [S2, S3, S9]\n• Invented [S9].';
+    const [body] = finishCombinedNotes(notes, sources).split('\n\n## 📚 Sources');
+
+    assert.equal(body, '• From the failed video\n• Mixed [S2]\n• Invented.');
+});
+
+test('finishCombinedNotes lists a source by its url when it has no other label', () => {
+    const result = finishCombinedNotes('Notes', [{ ...sources[2], status: 'ok' }]);
+    assert.ok(result.endsWith('## 📚 Sources\n• [S3] https://youtu.be/x (youtube)'));
+});
+
+test('validateCombinedSources rejects empty, oversized and malformed source lists', () => {
+    const source = { type: 'text', content: 'Some text' };
+
+    assert.throws(() => validateCombinedSources([]), { status: 400, message: 'Combined notes need a list of sources' });
+    assert.throws(() => validateCombinedSources('text'), { status: 400 });
+    assert.throws(() => validateCombinedSources(Array(9).fill(source)), { status: 400, code: 'SOURCES_TOO_MANY' });
+    assert.throws(() => validateCombinedSources([source, null]), { status: 400, message: /^Source 2 needs a type/ });
+    assert.throws(() => validateCombinedSources([{ type: 'email', content: 'x' }]), { message: /^Source 1 needs a type/ });
+    assert.doesNotThrow(() => validateCombinedSources([source, { type: 'website', content: 'https://example.com' }]));
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { removeContinuationOverlap } = require('../server');
+
+test('removeContinuationOverlap drops text the continuation repeats', () => {
+    const existing = '## Section\n• The mitochondria is the powerhouse of the cell';
+    const continuation = 'powerhouse of the cell\n• Ribosomes make proteins';
+    assert.equal(removeContinuationOverlap(existing, continuation), '\n• Ribosomes make proteins');
+});
+
+test('removeContinuationOverlap ignores leading whitespace in the continuation', () => {
+    const existing = 'Photosynthesis happens in the chloroplast';
+    assert.equal(removeContinuationOverlap(existing, '  in the chloroplast and needs light'), ' and needs light');
+});
+
+test('removeContinuationOverlap keeps continuations that do not repeat', () => {
+    const existing = 'First part of the notes';
+    const continuation = 'Second part starts here';
+    assert.equal(removeContinuationOverlap(existing, continuation), continuation);
+});
+
+test('removeContinuationOverlap ignores very short coincidental matches', () => {
+    const existing = 'Ends with the';
+    const continuation = 'the next point';
+    assert.equal(removeContinuationOverlap(existing, continuation), continuation);
+});
+
+test('removeContinuationOverlap only looks at the last maxOverlap characters', () => {
+    const existing = `Repeated opening sentence here. ${'x'.repeat(100)}`;
+    const continuation = 'Repeated opening sentence here. More';
+    assert.equal(removeContinuationOverlap(existing, continuation, 50), continuation);
+});
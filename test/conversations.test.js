@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildConversationHistory } = require('../server');
+
+const turns = (count) => Array.from({ length: count }, (_, i) => [
+    { role: 'user', text: `Question ${i + 1}` },
+    { role: 'model', text: `Answer ${i + 1}` },
+]).flat();
+
+test('buildConversationHistory keeps short threads whole, in Gemini content format', () => {
+    assert.deepEqual(buildConversationHistory(turns(2)), [
+        { role: 'user', parts: [{ text: 'Question 1' }] },
+        { role: 'model', parts: [{ text: 'Answer 1' }] },
+        { role: 'user', parts: [{ text: 'Question 2' }] },
+        { role: 'model', parts: [{ text: 'Answer 2' }] },
+    ]);
+    assert.deepEqual(buildConversationHistory([]), []);
+});
+
+test('buildConversationHistory keeps only the last 20 turns', () => {
+    const history = buildConversationHistory(turns(25));
+
+    assert.equal(history.length, 40);
+    assert.equal(history[0].parts[0].text, 'Question 6');
+    assert.equal(history[history.length - 1].parts[0].text, 'Answer 25');
+});
+
+test('buildConversationHistory starts with a user turn when trimming cuts a pair in half', () => {
+    // A trailing question without an answer shifts the window so it would start on a model message
+    const messages = [...turns(21), { role: 'user', text: 'Unanswered' }];
+    const history = buildConversationHistory(messages);
+
+    assert.equal(history[0].role, 'user');
+    assert.equal(history[0].parts[0].text, 'Question 3');
+    assert.equal(history.length, 39);
+});
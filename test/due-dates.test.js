@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveDueDate, cleanActionItems } = require('../lib/action-items');
+
+// Monday
+const REFERENCE = '2026-10-19';
+
+test('resolveDueDate resolves relative phrases', () => {
+    assert.equal(resolveDueDate('today', REFERENCE), '2026-10-19');
+    assert.equal(resolveDueDate('by EOD', REFERENCE), '2026-10-19');
+    assert.equal(resolveDueDate('tomorrow', REFERENCE), '2026-10-20');
+    assert.equal(resolveDueDate('the day after tomorrow', REFERENCE), '2026-10-21');
+    assert.equal(resolveDueDate('in 2 weeks', REFERENCE), '2026-11-02');
+    assert.equal(resolveDueDate('in three days', REFERENCE), '2026-10-22');
+    assert.equal(resolveDueDate('end of week', REFERENCE), '2026-10-23');
+    assert.equal(resolveDueDate('next week', REFERENCE), '2026-10-26');
+    assert.equal(resolveDueDate('end of the month', REFERENCE), '2026-10-31');
+    assert.equal(resolveDueDate('next month', REFERENCE), '2026-11-01');
+});
+
+test('resolveDueDate resolves weekdays', () => {
+    assert.equal(resolveDueDate('by Friday', REFERENCE), '2026-10-23');
+    assert.equal(resolveDueDate('Monday', REFERENCE), '2026-10-26');
+    assert.equal(resolveDueDate('next Friday', REFERENCE), '2026-10-30');
+    assert.equal(resolveDueDate('Friday next week', REFERENCE), '2026-10-30');
+    assert.equal(resolveDueDate('end of day Friday', REFERENCE), '2026-10-23');
+});
+
+test('resolveDueDate prefers an explicit date over a weekday next to it', () => {
+    assert.equal(resolveDueDate('by Friday 14 November', REFERENCE), '2026-11-14');
+    assert.equal(resolveDueDate('Friday, March 3', REFERENCE), '2027-03-03');
+    assert.equal(resolveDueDate('March 3 (Monday)', REFERENCE), '2027-03-03');
+    assert.equal(resolveDueDate('Tuesday the 14th', REFERENCE), '2026-11-14');
+    assert.equal(resolveDueDate('the 25th', REFERENCE), '2026-10-25');
+});
+
+test('resolveDueDate reads explicit dates with and without a year', () => {
+    assert.equal(resolveDueDate('2026-12-01', REFERENCE), '2026-12-01');
+    assert.equal(resolveDueDate('December 25, 2026', REFERENCE), '2026-12-25');
+    assert.equal(resolveDueDate('by the 3rd of Jan', REFERENCE), '2027-01-03');
+    assert.equal(resolveDueDate('Sept. 9 2027', REFERENCE), '2027-09-09');
+    assert.equal(resolveDueDate('October 19', REFERENCE), '2026-10-19');
+});
+
+test('resolveDueDate returns null for phrases it cannot read', () => {
+    assert.equal(resolveDueDate('someday', REFERENCE), null);
+    assert.equal(resolveDueDate(null, REFERENCE), null);
+    // Ambiguous (US or European order) and impossible dates are left to the model
+    assert.equal(resolveDueDate('11/14', REFERENCE), null);
+    assert.equal(resolveDueDate('February 30', REFERENCE), null);
+});
+
+test('resolveDueDate ignores times of day', () => {
+    assert.equal(resolveDueDate('tomorrow at 10.30', REFERENCE), '2026-10-20');
+    assert.equal(resolveDueDate('Friday 9.15 am', REFERENCE), '2026-10-23');
+    assert.equal(resolveDueDate('today 17:00', REFERENCE), '2026-10-19');
+    assert.equal(resolveDueDate('by 14 November at 5pm', REFERENCE), '2026-11-14');
+});
+
+test('resolveDueDate only reads "may" as a month next to a day or after words like "of"', () => {
+    assert.equal(resolveDueDate('Friday, may slip', REFERENCE), '2026-10-23');
+    assert.equal(resolveDueDate('May 5', REFERENCE), '2027-05-05');
+    assert.equal(resolveDueDate('the 5th of May', REFERENCE), '2027-05-05');
+});
+
+test('resolveDueDate resolves a month without a day to its last day', () => {
+    assert.equal(resolveDueDate('end of May', REFERENCE), '2027-05-31');
+    assert.equal(resolveDueDate('in March', REFERENCE), '2027-03-31');
+    assert.equal(resolveDueDate('by February 2028', REFERENCE), '2028-02-29');
+    assert.equal(resolveDueDate('October', REFERENCE), '2026-10-31');
+    assert.equal(resolveDueDate('by mid-May', REFERENCE), '2027-05-15');
+});
+
+test('cleanActionItems resolves deadlines, defaults priority and drops quotes missing from the source', () => {
+    const source = 'Dana will **send the budget** by next Friday.\nSomeone should book the room.';
+    const items = cleanActionItems([
+        { task: ' Send the budget ', owner: 'Dana', dueText: 'next Friday', dueDate: '2030-01-01', dueTime: '25:00', priority: 'high', quote: 'Dana will send the budget' },
+        { task: 'Book the room', owner: '', dueText: null, dueDate: '2026-11-02', dueTime: '09:30', priority: 'urgent', quote: 'Invented quote' },
+    ], source, REFERENCE);
+
+    assert.deepEqual(items, [
+        { task: 'Send the budget', owner: 'Dana', dueDate: '2026-10-30', dueTime: null, dueText: 'next Friday', priority: 'high', quote: 'Dana will send the budget' },
+        { task: 'Book the room', owner: null, dueDate: '2026-11-02', dueTime: '09:30', dueText: null, priority: 'medium', quote: null },
+    ]);
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { extractArticle } = require('../lib/article-extractor');
+
+const loadFixture = (name) => {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.html`), 'utf8');
+    return extractArticle(html, `https://example.com/${name}`);
+};
+
+// Asserts the text is there in order and none of the page chrome made it in
+const assertMainText = (paragraphs, expected, excluded) => {
+    const text = paragraphs.join('\n');
+    let position = -1;
+    expected.forEach(snippet => {
+        const index = text.indexOf(snippet);
+        assert.ok(index > position, `expected "${snippet}" after the previous snippet`);
+        position = index;
+    });
+    excluded.forEach(snippet => assert.ok(!text.includes(snippet), `did not expect "${snippet}"`));
+};
+
+test('extractArticle reads a news article without navigation, related links or the byline line', () => {
+    const article = loadFixture('news-article');
+
+    assert.equal(article.title, 'Council approves record transport budget');
+    assert.equal(article.byline, 'Maria Lopez');
+    assert.equal(article.publishedAt, '2025-04-03T07:30:00.000Z');
+    assert.equal(article.siteName, 'The Riverside Gazette');
+    assert.equal(article.language, 'en-GB');
+    assert.equal(article.leadImage, 'https://example.com/images/tram.jpg');
+    assert.equal(article.paragraphs[0].startsWith('The city council approved its largest ever transport budget'), true);
+    assertMainText(article.paragraphs, [
+        'will rise by 12 percent next year',
+        'Critics question housing plans',
+        '"This budget moves people, but it does not house them,"',
+        'a separate housing strategy would be presented in the autumn',
+    ], ['Local Affairs Reporter', 'Related stories', 'Tram extension delayed', 'We use cookies', 'Sign up for our daily newsletter', 'All rights reserved']);
+});
+
+test('extractArticle reads a blog post without its sidebar or comments', () => {
+    const article = loadFixture('blog-post');
+
+    assert.equal(article.title, 'Why I switched to a standing desk');
+    assert.equal(article.byline, 'Tom Becker');
+    assert.equal(article.publishedAt, '2024-03-12T09:00:00.000Z');
+    assert.equal(article.paragraphs[0].startsWith('For about ten years I worked sitting down'), true);
+    assertMainText(article.paragraphs, [
+        'I decided to try a standing desk for three months',
+        'What changed',
+        'My back pain went from daily to maybe once a week.',
+        'the real benefit comes from changing position often',
+    ], ['Posted on', 'Great post!', 'How high do you set the desk', 'About me', 'How I sharpen my chisels', 'Tags:']);
+});
+
+test('extractArticle reads a docs page with code and lists, without the sidebar or pagination', () => {
+    const article = loadFixture('docs-page');
+
+    assert.equal(article.title, 'Configuring retries');
+    assert.equal(article.byline, 'Fetchly Docs Team');
+    assert.equal(article.publishedAt, '2025-01-20T00:00:00.000Z');
+    assert.equal(article.paragraphs[0].startsWith('Fetchly retries failed requests automatically.'), true);
+    assertMainText(article.paragraphs, [
+        'Changing the retry limit',
+        'const client = fetchly.create({ retries: 5, retryDelay: 200 });',
+        'Backoff',
+        'retryDelay: the first wait, in milliseconds (default 100)',
+        'maxRetryDelay: the longest wait between two attempts (default 5000)',
+    ], ['Installation', 'Timeouts and cancellation', 'Edit this page', 'released under the MIT license']);
+});
+
+test('extractArticle splits an old table layout into paragraphs at <br> runs', () => {
+    const article = loadFixture('fallback-page');
+
+    assert.equal(article.title, 'Gemeinde Waldbach - Neues Schwimmbad eröffnet');
+    assert.equal(article.byline, 'Anna Schmidt');
+    assert.equal(article.publishedAt, '2023-11-05T00:00:00.000Z');
+    assert.deepEqual(article.paragraphs.map(paragraph => paragraph.substring(0, 30)), [
+        'Neues Schwimmbad eröffnet',
+        'Nach zwei Jahren Bauzeit hat d',
+        'Das Bad hat ein 25-Meter-Becke',
+        'Der Eintritt kostet für Erwach',
+    ]);
+    assertMainText(article.paragraphs, [], ['Startseite', 'Kontakt', 'Impressum', 'Von Anna Schmidt']);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractFlashcardPairs } = require('../lib/flashcard-export');
+
+test('extractFlashcardPairs reads bold terms anywhere and plain terms in a glossary', () => {
+    const notes = [
+        '# Cells',
+        '• **Mitochondria**: produces energy for the cell',
+        '## Glossary',
+        '- Ribosome: makes proteins',
+        '- Cell wall — rigid layer around plant cells',
+    ].join('\n');
+
+    assert.deepEqual(extractFlashcardPairs(notes), [
+        { front: 'Mitochondria', back: 'produces energy for the cell', kind: 'definition' },
+        { front: 'Ribosome', back: 'makes proteins', kind: 'definition' },
+        { front: 'Cell wall', back: 'rigid layer around plant cells', kind: 'definition' },
+    ]);
+});
+
+test('extractFlashcardPairs does not split ordinary bullets under a key concepts heading', () => {
+    const notes = [
+        '## Key Concepts',
+        '- Supply and demand: prices rise when demand grows',
+        '- Inflation - the general rise in prices',
+    ].join('\n');
+
+    assert.deepEqual(extractFlashcardPairs(notes), []);
+});
+
+test('extractFlashcardPairs skips long or sentence-like terms in a definitions section', () => {
+    const notes = [
+        '## Definitions',
+        '- The committee met on Tuesday and agreed on the following: a new budget',
+        '- Note, however: this only applies to members',
+        '- Quorum: the minimum number of members needed to vote',
+    ].join('\n');
+
+    assert.deepEqual(extractFlashcardPairs(notes), [
+        { front: 'Quorum', back: 'the minimum number of members needed to vote', kind: 'definition' },
+    ]);
+});
+
+test('extractFlashcardPairs pairs questions with their answers', () => {
+    const notes = [
+        '## Review Questions',
+        '1. What organelle makes proteins?',
+        '   Ribosomes',
+        '- Q: Where does photosynthesis happen?',
+        '- A: In the chloroplast',
+    ].join('\n');
+
+    assert.deepEqual(extractFlashcardPairs(notes), [
+        { front: 'What organelle makes proteins?', back: 'Ribosomes', kind: 'question' },
+        { front: 'Where does photosynthesis happen?', back: 'In the chloroplast', kind: 'question' },
+    ]);
+});
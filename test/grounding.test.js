@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { groundWebsiteNotes } = require('../server');
+
+const PARAGRAPHS = [
+    { id: 1, text: 'The city council approved a new budget on Monday after a long debate.' },
+    { id: 2, text: 'Spending on public transport will rise by 12 percent next year.' },
+    { id: 3, text: 'Critics say the plan does not do enough for housing.' },
+];
+
+test('groundWebsiteNotes turns verified citations into numbered references', () => {
+    const notes = [
+        '**Key Notes**',
+        '• Budget approved [P1: "approved a new budget on Monday"]',
+        '• Transport up 12% [P2: “will rise by 12 percent”] [P1: "after a long debate"]',
+    ].join('\n');
+
+    const grounded = groundWebsiteNotes(notes, PARAGRAPHS);
+
+    assert.equal(grounded.notes, [
+        '**Key Notes**',
+        '• Budget approved [1]',
+        '• Transport up 12% [2] [3]',
+    ].join('\n'));
+    assert.deepEqual(grounded.citations.map(({ ref, paragraph, quote }) => ({ ref, paragraph, quote })), [
+        { ref: 1, paragraph: 1, quote: 'approved a new budget on Monday' },
+        { ref: 2, paragraph: 2, quote: 'will rise by 12 percent' },
+        { ref: 3, paragraph: 1, quote: 'after a long debate' },
+    ]);
+    assert.equal(grounded.citations[0].paragraphText, PARAGRAPHS[0].text);
+    assert.deepEqual(grounded.unverifiedClaims, []);
+});
+
+test('groundWebsiteNotes re-attributes a quote found in another paragraph and reuses references', () => {
+    const notes = [
+        '• Housing concerns [P1: "does not do enough for housing"]',
+        '• Critics unhappy [P3: "does not do enough for housing"]',
+    ].join('\n');
+
+    const grounded = groundWebsiteNotes(notes, PARAGRAPHS);
+
+    assert.equal(grounded.notes, '• Housing concerns [1]\n• Critics unhappy [1]');
+    assert.equal(grounded.citations.length, 1);
+    assert.equal(grounded.citations[0].paragraph, 3);
+});
+
+test('groundWebsiteNotes flags bullets without a verified citation', () => {
+    const notes = [
+        '# Budget',
+        '• Taxes will fall [P2: "taxes will fall sharply"]',
+        '• The mayor resigned',
+        '1. Numbered claim without a source',
+    ].join('\n');
+
+    const grounded = groundWebsiteNotes(notes, PARAGRAPHS);
+
+    assert.equal(grounded.notes, [
+        '# Budget',
+        '• Taxes will fall ⚠️ *(not found in source)*',
+        '• The mayor resigned ⚠️ *(not found in source)*',
+        '1. Numbered claim without a source ⚠️ *(not found in source)*',
+    ].join('\n'));
+    assert.deepEqual(grounded.unverifiedClaims, [
+        { text: 'Taxes will fall', reason: 'quote_not_found' },
+        { text: 'The mayor resigned', reason: 'no_citation' },
+        { text: 'Numbered claim without a source', reason: 'no_citation' },
+    ]);
+});
+
+test('groundWebsiteNotes drops unverified bullets in drop mode', () => {
+    const notes = [
+        '**Key Notes**',
+        '• Budget approved [P1: "approved a new budget"]',
+        '• The mayor resigned',
+    ].join('\n');
+
+    const grounded = groundWebsiteNotes(notes, PARAGRAPHS, 'drop');
+
+    assert.equal(grounded.notes, '**Key Notes**\n• Budget approved [1]');
+    assert.equal(grounded.unverifiedClaims.length, 1);
+});
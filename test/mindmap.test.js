@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { cleanMindMapNode, validateMindMap, renderMermaidMindMap } = require('../server');
+
+test('cleanMindMapNode strips bullets and bold, and drops blank and duplicate children', () => {
+    const node = {
+        label: '  **Cell   Biology** ',
+        children: [
+            { label: '• Organelles', children: [{ label: '1) Nucleus' }] },
+            { label: 'organelles' },
+            { label: '   ' },
+            null,
+        ],
+    };
+
+    assert.deepEqual(cleanMindMapNode(node, 1, { count: 0 }), {
+        label: 'Cell Biology',
+        children: [{ label: 'Organelles', children: [{ label: 'Nucleus', children: [] }] }],
+    });
+});
+
+test('cleanMindMapNode gives a node without children an empty list', () => {
+    assert.deepEqual(cleanMindMapNode({ label: 'Leaf' }, 1, { count: 0 }), { label: 'Leaf', children: [] });
+    assert.deepEqual(cleanMindMapNode({ label: 'Leaf', children: 'not a list' }, 1, { count: 0 }), { label: 'Leaf', children: [] });
+});
+
+test('cleanMindMapNode caps depth and children per node', () => {
+    const chain = { label: 'L1', children: [{ label: 'L2', children: [{ label: 'L3', children: [{ label: 'L4', children: [{ label: 'L5' }] }] }] }] };
+    const wide = { label: 'Root', children: Array.from({ length: 12 }, (_, i) => ({ label: `Child ${i}` })) };
+
+    const deep = cleanMindMapNode(chain, 1, { count: 0 });
+    assert.deepEqual(deep.children[0].children[0].children[0], { label: 'L4', children: [] });
+    assert.equal(cleanMindMapNode(wide, 1, { count: 0 }).children.length, 8);
+});
+
+test('validateMindMap needs at least two main branches', () => {
+    assert.deepEqual(validateMindMap({ label: '' }), ['The root label is empty']);
+    assert.deepEqual(validateMindMap({ label: 'Topic', children: [{ label: 'Only one' }] }), ['The mind map needs at least 2 main branches under the root']);
+
+    const data = { label: 'Topic', children: [{ label: 'A' }, { label: 'B' }] };
+    assert.deepEqual(validateMindMap(data), []);
+    assert.equal(data.root.children.length, 2);
+});
+
+test('renderMermaidMindMap indents branches and strips shape characters from labels', () => {
+    const root = {
+        label: 'Plants (overview)',
+        children: [
+            { label: 'Leaves [green]', children: [{ label: 'Chlorophyll', children: [] }] },
+            { label: 'Roots', children: [] },
+        ],
+    };
+
+    assert.equal(renderMermaidMindMap(root), 'mindmap\n  root((Plants overview))\n    Leaves green\n      Chlorophyll\n    Roots\n');
+    assert.equal(renderMermaidMindMap({ label: 'Alone', children: [] }), 'mindmap\n  root((Alone))\n');
+});
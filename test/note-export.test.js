@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isNoteExportFormat, parseNoteDocument, renderMarkdown, renderHtml, splitByScript } = require('../lib/note-export');
+
+test('isNoteExportFormat only accepts the export formats themselves', () => {
+    assert.ok(isNoteExportFormat('pdf'));
+    assert.equal(isNoteExportFormat('toString'), false);
+    assert.equal(isNoteExportFormat(['pdf']), false);
+});
+
+test('parseNoteDocument turns loose note markdown into headings, lists and checkboxes', () => {
+    const document = parseNoteDocument('# Meeting\n📌 **Key Takeaways**\n• **Budget** approved\n  • Sub point\n- [x] Send recap', 'Fallback');
+
+    assert.equal(document.title, 'Meeting');
+    assert.equal(renderMarkdown(document), '# Meeting\n\n## Key Takeaways\n\n- **Budget** approved\n  - Sub point\n- [x] Send recap\n');
+    assert.match(renderHtml(document), /<ul><li><strong>Budget<\/strong> approved<ul><li>Sub point<\/li><\/ul><\/li><li><input type="checkbox" disabled checked> Send recap<\/li><\/ul>/);
+});
+
+test('splitByScript gives CJK and Devanagari text their own font runs', () => {
+    assert.deepEqual(splitByScript('Hello 世界, नमस्ते'), [
+        { family: 'sans', text: 'Hello ' },
+        { family: 'cjk', text: '世界, ' },
+        { family: 'devanagari', text: 'नमस्ते' },
+    ]);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Note = require('../models/Note');
+const { diffLines } = require('../server');
+
+test('diffLines marks changed lines between unchanged ones', () => {
+    const hunks = diffLines('# Title\nold line\nshared\nend', '# Title\nnew line\nshared\nend\nextra');
+
+    assert.deepEqual(hunks, [
+        { type: 'equal', lines: ['# Title'] },
+        { type: 'removed', lines: ['old line'] },
+        { type: 'added', lines: ['new line'] },
+        { type: 'equal', lines: ['shared', 'end'] },
+        { type: 'added', lines: ['extra'] },
+    ]);
+});
+
+test('diffLines of identical text has no added or removed lines', () => {
+    assert.deepEqual(diffLines('same\ntext', 'same\ntext'), [{ type: 'equal', lines: ['same', 'text'] }]);
+    assert.deepEqual(diffLines('', ''), [{ type: 'equal', lines: [''] }]);
+});
+
+test('addVersion starts the history from the original content and tracks the current version', () => {
+    const note = new Note({ recoveryCode: 'ABC123', title: 'Notes', content: 'First draft' });
+
+    const version = note.addVersion('Polished draft', 'polish');
+
+    assert.equal(version, 2);
+    assert.equal(note.content, 'Polished draft');
+    assert.equal(note.currentVersion, 2);
+    assert.deepEqual(note.versions.map(entry => [entry.version, entry.content, entry.source]), [
+        [1, 'First draft', 'created'],
+        [2, 'Polished draft', 'polish'],
+    ]);
+    assert.equal(note.getVersion(1).content, 'First draft');
+    assert.equal(note.getVersion(3), null);
+});
+
+test('addVersion keeps only the newest 50 versions', () => {
+    const note = new Note({ recoveryCode: 'ABC123', title: 'Notes', content: 'v1' });
+    for (let i = 2; i <= 60; i++) note.addVersion(`v${i}`, 'user_edit');
+
+    assert.equal(note.versions.length, 50);
+    assert.equal(note.versions[0].version, 11);
+    assert.equal(note.currentVersion, 60);
+    // Numbers keep counting up after old versions are dropped
+    assert.equal(note.addVersion('v61', 'user_edit'), 61);
+});
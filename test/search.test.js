@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { localEmbedding, cosineSimilarity, buildSearchSnippet, mergeSearchRankings } = require('../lib/search');
+
+const note = (id, content) => ({ _id: id, title: `Note ${id}`, content });
+
+test('localEmbedding ranks the note that shares the query words first', () => {
+    const notes = [
+        note('a', 'Quarterly budget review: marketing spend and hiring plans'),
+        note('b', 'Photosynthesis turns light, water and carbon dioxide into glucose in the chloroplast'),
+        note('c', 'Trip checklist: passport, tickets, chargers'),
+    ];
+    const query = localEmbedding('how does photosynthesis make glucose');
+
+    const ranked = notes
+        .map(item => ({ id: item._id, score: cosineSimilarity(query, localEmbedding(item.content)) }))
+        .sort((x, y) => y.score - x.score);
+
+    assert.equal(ranked[0].id, 'b');
+    assert.ok(ranked[0].score > ranked[1].score);
+});
+
+test('localEmbedding is deterministic and normalized', () => {
+    const first = localEmbedding('Same text, same vector');
+    assert.deepEqual(first, localEmbedding('same TEXT same vector'));
+    assert.ok(Math.abs(cosineSimilarity(first, first) - 1) < 1e-9);
+    assert.equal(cosineSimilarity(localEmbedding(''), first), 0);
+});
+
+test('buildSearchSnippet picks the best paragraph and highlights every term', () => {
+    const content = '# Biology\nCells are small.\nThe chloroplast runs photosynthesis; photosynthesis needs light.';
+    const { snippet, highlights } = buildSearchSnippet(content, ['photosynthesis', 'light']);
+
+    assert.equal(snippet, 'The chloroplast runs photosynthesis; photosynthesis needs light.');
+    assert.deepEqual(highlights.map(({ start, end }) => snippet.substring(start, end)), ['photosynthesis', 'photosynthesis', 'light']);
+});
+
+test('buildSearchSnippet centers long paragraphs on the first match', () => {
+    const content = `${'filler words here '.repeat(40)}the keyword appears here ${'more filler text '.repeat(40)}`;
+    const { snippet, highlights } = buildSearchSnippet(content, ['keyword'], 100);
+
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+    assert.equal(highlights.length, 1);
+    assert.equal(snippet.substring(highlights[0].start, highlights[0].end), 'keyword');
+});
+
+test('mergeSearchRankings puts notes found by both searches first in hybrid mode', () => {
+    const a = note('a', 'alpha budget');
+    const b = note('b', 'beta budget');
+    const c = note('c', 'gamma budget');
+    const rankings = {
+        keyword: [{ note: a, score: 9 }, { note: b, score: 5 }],
+        semantic: [{ note: c, score: 0.9 }, { note: b, score: 0.8 }],
+    };
+
+    const results = mergeSearchRankings(rankings, 'budget', { mode: 'hybrid', limit: 10 });
+
+    assert.deepEqual(results.map(result => result.note._id), ['b', 'a', 'c']);
+    assert.deepEqual(results[0].matchedBy, ['keyword', 'semantic']);
+    assert.ok(Math.abs(results[0].score - (1 / 62 + 1 / 62)) < 1e-12);
+    // Results carry a snippet instead of the note content
+    assert.equal(results[0].note.content, undefined);
+    assert.equal(results[0].snippet, 'beta budget');
+});
+
+test('mergeSearchRankings keeps raw scores in single mode and applies the limit', () => {
+    const rankings = {
+        semantic: [{ note: note('a', 'one'), score: 0.4 }, { note: note('b', 'two'), score: 0.9 }, { note: note('c', 'three'), score: 0.1 }],
+    };
+
+    const results = mergeSearchRankings(rankings, 'anything', { mode: 'semantic', limit: 2 });
+
+    assert.deepEqual(results.map(result => [result.note._id, result.score]), [['b', 0.9], ['a', 0.4]]);
+    assert.deepEqual(mergeSearchRankings({}, 'anything'), []);
+});
@@ -0,0 +1,72 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { GenerativeModel } = require('@google/generative-ai');
+const { generateJson, validateStructuredNotes, structuredNotesToMarkdown } = require('../server');
+
+const generateContent = GenerativeModel.prototype.generateContent;
+afterEach(() => {
+    GenerativeModel.prototype.generateContent = generateContent;
+});
+
+// Replace the model with canned responses, recording the prompts it was sent
+const stubModel = (responses) => {
+    const prompts = [];
+    GenerativeModel.prototype.generateContent = async (prompt) => {
+        prompts.push(prompt);
+        const text = responses.shift();
+        return { response: { text: () => text } };
+    };
+    return prompts;
+};
+
+const validNotes = () => ({
+    title: ' Photosynthesis ',
+    summary: 'How plants make food.',
+    sections: [{ heading: 'Inputs', bullets: ['• Light', '2) Water', ' '] }],
+    keyTakeaways: ['- Plants need light'],
+    actionItems: [],
+});
+
+test('validateStructuredNotes tidies strings and bullet characters', () => {
+    const data = validNotes();
+
+    assert.deepEqual(validateStructuredNotes(data), []);
+    assert.equal(data.title, 'Photosynthesis');
+    assert.deepEqual(data.sections, [{ heading: 'Inputs', bullets: ['Light', 'Water'] }]);
+    assert.deepEqual(data.keyTakeaways, ['Plants need light']);
+    assert.equal(structuredNotesToMarkdown(data), '# Photosynthesis\n\nHow plants make food.\n\n## Inputs\n• Light\n• Water\n\n## 📌 Key Takeaways\n• Plants need light');
+});
+
+test('validateStructuredNotes reports every missing part of malformed JSON', () => {
+    const data = { title: null, summary: 42, sections: [null, 'text', { heading: 'Empty', bullets: [] }], keyTakeaways: 'not a list' };
+
+    assert.deepEqual(validateStructuredNotes(data), [
+        'title is empty',
+        'sections must contain at least one section with a heading and bullets',
+        'keyTakeaways must contain at least one point',
+    ]);
+    assert.equal(data.summary, '42');
+    assert.deepEqual(data.actionItems, []);
+});
+
+test('generateJson retries invalid JSON and tells the model what was wrong', async () => {
+    const prompts = stubModel(['{"title": "Cut off', JSON.stringify(validNotes())]);
+
+    const data = await generateJson('Write notes', {}, validateStructuredNotes);
+
+    assert.equal(data.title, 'Photosynthesis');
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[1], /YOUR PREVIOUS ANSWER WAS INVALID:\n- Response was not valid JSON/);
+});
+
+test('generateJson gives up with a 502 when every answer fails validation', async () => {
+    stubModel(['not json', JSON.stringify({ ...validNotes(), sections: [] })]);
+
+    await assert.rejects(generateJson('Write notes', {}, validateStructuredNotes), (error) => {
+        assert.equal(error.status, 502);
+        assert.equal(error.code, 'JSON_INVALID');
+        assert.deepEqual(error.details, ['sections must contain at least one section with a heading and bullets']);
+        return true;
+    });
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const StudySet = require('../models/StudySet');
+const { validateStudySet } = require('../server');
+
+const question = (text, answerIndex = 0) => ({
+    question: text,
+    options: ['Alpha', 'Beta', 'Gamma', 'Delta'],
+    answerIndex,
+    explanation: `Because of ${text}`,
+});
+
+test('validateStudySet keeps well-formed items and skips null or non-object entries', () => {
+    const data = {
+        flashcards: [null, 'loose string', { front: ' Cell ', back: ' Unit of life ' }, ['front', 'back'], { front: 'cell', back: 'duplicate front' }],
+        quiz: [null, 42, question('  What is first?  ')],
+    };
+
+    const problems = validateStudySet(data, 2, 2);
+
+    assert.deepEqual(data.flashcards, [{ front: 'Cell', back: 'Unit of life' }]);
+    assert.equal(data.quiz.length, 1);
+    assert.equal(data.quiz[0].question, 'What is first?');
+    // Half the requested items survived, so there's nothing to retry
+    assert.deepEqual(problems, []);
+});
+
+test('validateStudySet reports why a mostly unusable set should be retried', () => {
+    const data = {
+        flashcards: [{ front: 'Only card', back: '' }],
+        quiz: [
+            null,
+            { ...question('Same options'), options: ['A', 'a', 'B', 'C'] },
+            question('Bad answer', 4),
+        ],
+    };
+
+    const problems = validateStudySet(data, 4, 3);
+
+    assert.deepEqual(data.flashcards, []);
+    assert.deepEqual(data.quiz, []);
+    assert.deepEqual(problems, [
+        'Question 1 is not an object',
+        'Question 2 must have exactly 4 different, non-empty options',
+        'Question 3 has answerIndex 4, expected 0-3',
+        'Only 0 usable flashcards (asked for 4); each needs a distinct front and a back',
+        'Only 0 usable quiz questions (asked for 3)',
+    ]);
+});
+
+test('gradeAttempt scores a partly wrong attempt and treats missing answers as skipped', () => {
+    const studySet = new StudySet({
+        recoveryCode: 'ABC123',
+        quiz: [question('One', 0), question('Two', 2), question('Three', 1)],
+    });
+
+    const grade = studySet.gradeAttempt([0, 1, 'b']);
+
+    assert.equal(grade.score, 1);
+    assert.equal(grade.total, 3);
+    assert.equal(grade.percent, 33);
+    assert.deepEqual(grade.results.map(result => [result.selectedIndex, result.correct]), [[0, true], [1, false], [null, false]]);
+    assert.equal(grade.results[1].answerIndex, 2);
+    assert.equal(grade.results[1].explanation, 'Because of Two');
+});
+
+test('gradeAttempt gives 0% for a quiz without questions', () => {
+    const grade = new StudySet({ recoveryCode: 'ABC123', quiz: [] }).gradeAttempt([]);
+    assert.deepEqual(grade, { score: 0, total: 0, percent: 0, results: [] });
+});